@@ -0,0 +1,75 @@
+/*
+Mock catalog API for the Thinking in React product table, so it can be run and tried out offline.
+
+  GET /products    the products in src/Thinking in React/catalog.json, as JSON
+
+Two query parameters make the slow and broken cases easy to see:
+  ?delay=2000      answer after that many milliseconds, to see the loading skeleton
+  ?fail=503        answer with that HTTP status instead, to see the error panel and retry
+
+Run it with `npm run catalog` (PORT defaults to 8788, HOST to every interface) and point the app at it with
+REACT_APP_CATALOG_URL, e.g. http://localhost:8788/products?delay=2000.
+*/
+const http = require("http");
+const fixture = require("../src/Thinking in React/catalog.json");
+
+const DEFAULT_PORT = 8788;
+const MAX_DELAY = 60 * 1000;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // The app runs on a different port, so the browser needs to be told it may read the answer.
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+function createCatalogServer({ port = DEFAULT_PORT, host, products = fixture } = {}) {
+  const timers = new Set();
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" || url.pathname !== "/products") {
+      sendJson(res, 404, { error: "Not found: " + req.method + " " + url.pathname });
+      return;
+    }
+    const delay = Math.min(Math.max(Number(url.searchParams.get("delay")) || 0, 0), MAX_DELAY);
+    const failStatus = Number(url.searchParams.get("fail"));
+
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      if (failStatus >= 400 && failStatus <= 599) {
+        sendJson(res, failStatus, { error: "Failing on purpose with " + failStatus });
+      } else {
+        sendJson(res, 200, products);
+      }
+    }, delay);
+    timers.add(timer);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        close() {
+          // Requests still held back by ?delay will never be answered, so their connections are dropped rather
+          // than waited for.
+          timers.forEach((timer) => clearTimeout(timer));
+          const closed = new Promise((done) => server.close(done));
+          server.closeAllConnections();
+          return closed;
+        },
+      });
+    });
+  });
+}
+
+module.exports = { createCatalogServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createCatalogServer({ port, host: process.env.HOST }).then(() => {
+    console.log("product catalog listening on http://localhost:" + port + "/products");
+  });
+}
@@ -0,0 +1,237 @@
+/*
+Relay server for two-machine tic-tac-toe.
+
+Players join a room by name. The first two players in a room are seated as X and O; the room keeps the only copy
+of the game that counts. Every move is checked against the shared game rules before it is applied, and after each
+change both players get the full move list, so a client never has to trust its own copy.
+
+Messages are JSON objects with a `type`:
+
+  client -> server
+    { type: "join", room, playerId?, size?, winLength? }  take a seat, or take back your seat after a reconnect
+    { type: "move", square, moveNumber }                  play `square` as move number `moveNumber` (0-based)
+    { type: "sync" }                                      ask for the current state again
+
+  server -> client
+    { type: "joined", room, playerId, mark, size, winLength }
+    { type: "state", moves, connected: { X, O } }
+    { type: "error", message }
+
+Run it with `npm run relay` (PORT defaults to 8787, HOST to every interface) and point the app at it with
+REACT_APP_RELAY_URL, e.g. ws://192.168.1.20:8787 for a second machine on the same network. Loading the game rules from src needs Node 20.19 or later.
+*/
+const http = require("http");
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+const { calculateOutcome } = require("../src/Tutorial_tic-tac-toe/tic-tac-toe/gameLogic.js");
+
+const DEFAULT_PORT = 8787;
+const MAX_SIZE = 25;
+// How long a room is kept once both players have left, so a dropped player can still come back to it.
+const EMPTY_ROOM_TTL = 10 * 60 * 1000;
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function isBoardDimension(value, max) {
+  return Number.isInteger(value) && value >= 1 && value <= max;
+}
+
+// Listens on every interface unless `host` is given, so a player on another machine can reach it.
+function createRelayServer({ port = DEFAULT_PORT, host } = {}) {
+  const rooms = new Map();
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("tic-tac-toe relay: connect over WebSocket\n");
+  });
+  const wss = new WebSocketServer({ server });
+
+  function squaresOf(room) {
+    const squares = Array(room.size * room.size).fill(null);
+    room.moves.forEach((square, i) => {
+      squares[square] = i % 2 === 0 ? "X" : "O";
+    });
+    return squares;
+  }
+
+  function stateOf(room) {
+    return {
+      type: "state",
+      moves: room.moves,
+      connected: { X: Boolean(room.seats.X?.socket), O: Boolean(room.seats.O?.socket) },
+    };
+  }
+
+  function broadcast(room) {
+    const state = stateOf(room);
+    send(room.seats.X?.socket, state);
+    send(room.seats.O?.socket, state);
+  }
+
+  function scheduleCleanup(name, room) {
+    clearTimeout(room.cleanupTimer);
+    if (room.seats.X?.socket || room.seats.O?.socket) return;
+    room.cleanupTimer = setTimeout(() => rooms.delete(name), EMPTY_ROOM_TTL);
+    room.cleanupTimer.unref?.();
+  }
+
+  // Gives up the seat `client` holds, so someone else can take it.
+  function releaseSeat(socket, client) {
+    const room = rooms.get(client.room);
+    const seat = room?.seats[client.mark];
+    if (seat && seat.socket === socket) {
+      room.seats[client.mark] = null;
+      broadcast(room);
+      scheduleCleanup(client.room, room);
+    }
+    client.room = null;
+    client.mark = null;
+  }
+
+  function handleJoin(socket, client, message) {
+    const name = String(message.room ?? "").trim();
+    if (!name) {
+      send(socket, { type: "error", message: "Pick a room name to join." });
+      return;
+    }
+    let room = rooms.get(name);
+    if (!room) {
+      const size = message.size ?? 3;
+      const winLength = message.winLength ?? 3;
+      if (!isBoardDimension(size, MAX_SIZE) || !isBoardDimension(winLength, size)) {
+        send(socket, { type: "error", message: "That board size and win length can't be played." });
+        return;
+      }
+      room = { size, winLength, moves: [], seats: { X: null, O: null }, cleanupTimer: null };
+      rooms.set(name, room);
+    }
+
+    let mark = ["X", "O"].find(
+      (m) => room.seats[m]?.socket === socket || (message.playerId && room.seats[m]?.playerId === message.playerId)
+    );
+    if (mark) {
+      // Reconnecting: the new socket replaces whatever is left of the old one.
+      const oldSocket = room.seats[mark].socket;
+      if (oldSocket && oldSocket !== socket) oldSocket.close(4000, "Replaced by a new connection");
+    } else {
+      mark = ["X", "O"].find((m) => !room.seats[m]);
+      if (!mark) {
+        send(socket, { type: "error", message: "Room " + name + " already has two players." });
+        return;
+      }
+      room.seats[mark] = { playerId: crypto.randomUUID(), socket: null };
+    }
+    // A socket only sits in one room at a time: joining another one leaves the seat it had.
+    if (client.room !== null && (client.room !== name || client.mark !== mark)) {
+      releaseSeat(socket, client);
+    }
+    room.seats[mark].socket = socket;
+    clearTimeout(room.cleanupTimer);
+    client.room = name;
+    client.mark = mark;
+
+    send(socket, {
+      type: "joined",
+      room: name,
+      playerId: room.seats[mark].playerId,
+      mark,
+      size: room.size,
+      winLength: room.winLength,
+    });
+    broadcast(room);
+  }
+
+  function handleMove(socket, client, message) {
+    const room = rooms.get(client.room);
+    if (!room || room.seats[client.mark]?.socket !== socket) {
+      send(socket, { type: "error", message: "Join a room before playing." });
+      return;
+    }
+    // A move made against an older copy of the game is refused; the resync lets the client catch up.
+    if (message.moveNumber !== room.moves.length) {
+      send(socket, { type: "error", message: "That move was made on an out of date board." });
+      send(socket, stateOf(room));
+      return;
+    }
+    const toMove = room.moves.length % 2 === 0 ? "X" : "O";
+    if (client.mark !== toMove) {
+      send(socket, { type: "error", message: "It is " + toMove + "'s turn." });
+      return;
+    }
+    const squares = squaresOf(room);
+    const outcome = calculateOutcome(squares, room.winLength);
+    if (outcome.winner || outcome.isDraw) {
+      send(socket, { type: "error", message: "The game is already over." });
+      return;
+    }
+    const square = message.square;
+    if (!Number.isInteger(square) || square < 0 || square >= squares.length || squares[square]) {
+      send(socket, { type: "error", message: "That square can't be played." });
+      return;
+    }
+    room.moves = [...room.moves, square];
+    broadcast(room);
+  }
+
+  wss.on("connection", (socket) => {
+    const client = { room: null, mark: null };
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        send(socket, { type: "error", message: "Messages must be JSON." });
+        return;
+      }
+      if (typeof message !== "object" || message === null || Array.isArray(message)) {
+        send(socket, { type: "error", message: "Messages must be JSON objects." });
+        return;
+      }
+      if (message.type === "join") {
+        handleJoin(socket, client, message);
+      } else if (message.type === "move") {
+        handleMove(socket, client, message);
+      } else if (message.type === "sync") {
+        const room = rooms.get(client.room);
+        if (room) send(socket, stateOf(room));
+      } else {
+        send(socket, { type: "error", message: "Unknown message type: " + message.type });
+      }
+    });
+
+    socket.on("close", () => {
+      const room = rooms.get(client.room);
+      const seat = room?.seats[client.mark];
+      if (!seat || seat.socket !== socket) return;
+      seat.socket = null;
+      broadcast(room);
+      scheduleCleanup(client.room, room);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        close() {
+          rooms.forEach((room) => clearTimeout(room.cleanupTimer));
+          wss.clients.forEach((socket) => socket.terminate());
+          return new Promise((done) => wss.close(() => server.close(done)));
+        },
+      });
+    });
+  });
+}
+
+module.exports = { createRelayServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createRelayServer({ port, host: process.env.HOST }).then(() => {
+    console.log("tic-tac-toe relay listening on port " + port);
+  });
+}
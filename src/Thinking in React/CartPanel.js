@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { MAX_QUANTITY, priceCart } from "./cart";
+import { formatPrice, plural } from "./products";
+
+/*
+The cart beside the table, priced from the catalog (see cart.js). Checkout swaps the list for a summary of the
+order. `onCartAction` takes the actions of cartReducer.
+*/
+export default function CartPanel({ cart, products, onCartAction }) {
+  const [isCheckingOut, setIsCheckingOut] = useState(false);
+  const { lines, itemCount, total } = priceCart(cart, products);
+
+  if (isCheckingOut && itemCount > 0) {
+    return <CheckoutSummary lines={lines} itemCount={itemCount} total={total} onBack={() => setIsCheckingOut(false)} />;
+  }
+
+  return (
+    <aside className="cart" aria-label="Shopping cart">
+      <h2>Cart</h2>
+      {lines.length === 0 ? (
+        <p className="cart-empty">Your cart is empty.</p>
+      ) : (
+        <>
+          <ul className="cart-lines">
+            {lines.map((line) => (
+              <CartLine key={line.name} line={line} onCartAction={onCartAction} />
+            ))}
+          </ul>
+          <p className="cart-total">
+            {plural(itemCount, "item")}, total <strong>{formatPrice(total)}</strong>
+          </p>
+          <button type="button" disabled={itemCount === 0} onClick={() => setIsCheckingOut(true)}>
+            Checkout
+          </button>
+          <button type="button" onClick={() => onCartAction({ type: "clear" })}>
+            Clear cart
+          </button>
+        </>
+      )}
+    </aside>
+  );
+}
+
+function CartLine({ line, onCartAction }) {
+  const { name, quantity, product, available, lineTotal } = line;
+  const setQuantity = (value) => onCartAction({ type: "setQuantity", name, quantity: value });
+  return (
+    <li className={available ? "cart-line" : "cart-line cart-line-unavailable"}>
+      <span className="cart-line-name">{name}</span>
+      {available ? (
+        <span className="cart-line-price">
+          {formatPrice(product.price)} × {quantity} = {formatPrice(lineTotal)}
+        </span>
+      ) : (
+        <span className="cart-line-price">{product ? "Out of stock" : "No longer sold"}</span>
+      )}
+      <span className="cart-line-controls">
+        <button type="button" aria-label={"One less " + name} onClick={() => setQuantity(quantity - 1)}>
+          −
+        </button>
+        <input
+          type="number"
+          aria-label={"Quantity of " + name}
+          min="1"
+          max={MAX_QUANTITY}
+          value={quantity}
+          onChange={(e) => {
+            const value = parseInt(e.target.value, 10);
+            // Leave the quantity alone while the box is empty halfway through typing a new one.
+            if (!Number.isNaN(value)) setQuantity(Math.max(value, 1));
+          }}
+        />
+        <button
+          type="button"
+          aria-label={"One more " + name}
+          disabled={!available || quantity >= MAX_QUANTITY}
+          onClick={() => setQuantity(quantity + 1)}
+        >
+          +
+        </button>
+        <button type="button" aria-label={"Remove " + name} onClick={() => onCartAction({ type: "remove", name })}>
+          Remove
+        </button>
+      </span>
+    </li>
+  );
+}
+
+// What the order comes to, leaving out anything in the cart that can't be bought any more.
+function CheckoutSummary({ lines, itemCount, total, onBack }) {
+  const available = lines.filter((line) => line.available);
+  const leftOut = lines.length - available.length;
+  return (
+    <aside className="cart" aria-label="Checkout summary">
+      <h2>Checkout</h2>
+      <table className="checkout-summary">
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>Quantity</th>
+            <th>Price</th>
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {available.map((line) => (
+            <tr key={line.name}>
+              <td>{line.name}</td>
+              <td className="price">{line.quantity}</td>
+              <td className="price">{formatPrice(line.product.price)}</td>
+              <td className="price">{formatPrice(line.lineTotal)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colSpan="3">{plural(itemCount, "item")}</th>
+            <td className="price">
+              <strong>{formatPrice(total)}</strong>
+            </td>
+          </tr>
+        </tfoot>
+      </table>
+      {leftOut > 0 && (
+        <p className="cart-note">
+          {plural(leftOut, "product")} in your cart can't be bought right now and {leftOut === 1 ? "is" : "are"} left
+          out.
+        </p>
+      )}
+      <button type="button" onClick={onBack}>
+        Back to cart
+      </button>
+    </aside>
+  );
+}
@@ -0,0 +1,94 @@
+import { formatPrice } from "./products";
+
+// The price slider moves a cent at a time.
+const PRICE_STEP = 0.01;
+
+/*
+The facets of facets.js beside the table: a checkbox for each category with how many products it would show, and a
+price range set with two sliders between the cheapest and dearest products in the catalog. The facets and counts
+come in as props and every change goes out through onChange, like the rest of the filters.
+*/
+export default function FacetFilters({ categories, bounds, facets, counts, onChange }) {
+  const { categories: ticked, minPrice, maxPrice } = facets;
+  // Ticked categories that have since left the catalog stay listed, so they can be unticked.
+  const listed = [...categories, ...ticked.filter((category) => !categories.includes(category))];
+
+  function toggleCategory(category, checked) {
+    onChange({ categories: checked ? [...ticked, category] : ticked.filter((c) => c !== category) });
+  }
+
+  const low = minPrice ?? bounds?.min;
+  const high = maxPrice ?? bounds?.max;
+
+  // A slider at the end of its track means no limit on that side, so the range still covers a catalog that grows.
+  function changeMinPrice(value) {
+    const price = Math.min(value, high);
+    onChange({ minPrice: price <= bounds.min ? null : price });
+  }
+
+  function changeMaxPrice(value) {
+    const price = Math.max(value, low);
+    onChange({ maxPrice: price >= bounds.max ? null : price });
+  }
+
+  return (
+    <aside className="facets" aria-label="Filters">
+      <fieldset className="category-facet">
+        <legend>Category</legend>
+        {listed.map((category) => {
+          const count = counts.categoryCounts[category] ?? 0;
+          const checked = ticked.includes(category);
+          return (
+            <label key={category} className={count === 0 && !checked ? "facet-option facet-empty" : "facet-option"}>
+              <input
+                type="checkbox"
+                checked={checked}
+                onChange={(e) => toggleCategory(category, e.target.checked)}
+              />{" "}
+              {category} <span className="facet-count">({count})</span>
+            </label>
+          );
+        })}
+        {ticked.length > 0 && (
+          <button type="button" className="facet-clear" onClick={() => onChange({ categories: [] })}>
+            Any category
+          </button>
+        )}
+      </fieldset>
+      {bounds && (
+        <fieldset className="price-facet">
+          <legend>Price</legend>
+          <p className="price-facet-range" aria-live="polite">
+            {formatPrice(low)} – {formatPrice(high)}{" "}
+            <span className="facet-count">
+              ({counts.matching} {counts.matching === 1 ? "product" : "products"})
+            </span>
+          </p>
+          <input
+            type="range"
+            aria-label="Lowest price"
+            min={bounds.min}
+            max={bounds.max}
+            step={PRICE_STEP}
+            value={low}
+            onChange={(e) => changeMinPrice(Number(e.target.value))}
+          />
+          <input
+            type="range"
+            aria-label="Highest price"
+            min={bounds.min}
+            max={bounds.max}
+            step={PRICE_STEP}
+            value={high}
+            onChange={(e) => changeMaxPrice(Number(e.target.value))}
+          />
+          {(minPrice !== null || maxPrice !== null) && (
+            <button type="button" className="facet-clear" onClick={() => onChange({ minPrice: null, maxPrice: null })}>
+              Any price
+            </button>
+          )}
+        </fieldset>
+      )}
+    </aside>
+  );
+}
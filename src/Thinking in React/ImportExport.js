@@ -0,0 +1,202 @@
+import { useState } from "react";
+import {
+  PRODUCT_FIELDS,
+  detectFormat,
+  exportProducts,
+  guessColumnMapping,
+  importRows,
+  readProductFile,
+} from "./productFiles";
+import { plural } from "./products";
+
+// Rows shown in the import preview; the counts and problems cover the whole file.
+const PREVIEW_ROWS = 20;
+const LISTED_PROBLEMS = 50;
+
+const FORMATS = {
+  csv: { label: "CSV", type: "text/csv" },
+  json: { label: "JSON", type: "application/json" },
+};
+
+function download(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking straight away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/*
+Export writes the products the table shows, filtered and sorted as they are, which `getViewProducts` works out when
+asked. Import reads a CSV or JSON file into a preview first: the columns can be matched up with the product fields,
+rows with problems are listed and left out, and the rest can be merged into the catalog or replace it.
+*/
+export default function ImportExport({ products, getViewProducts, onImport }) {
+  // The file being imported: { fileName, columns, rows }.
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [readError, setReadError] = useState(null);
+
+  function handleExport(format) {
+    download(exportProducts(getViewProducts(), format), "products." + format, FORMATS[format].type);
+  }
+
+  async function handleFileChange(e) {
+    const chosen = e.target.files[0];
+    // Clear the input, so choosing the same file again after a change still counts.
+    e.target.value = "";
+    if (!chosen) return;
+    try {
+      const text = await chosen.text();
+      const { columns, rows } = readProductFile(text, detectFormat(chosen.name, text));
+      setFile({ fileName: chosen.name, columns, rows });
+      setMapping(guessColumnMapping(columns));
+      setReadError(null);
+    } catch (error) {
+      setFile(null);
+      setReadError("Couldn't read " + chosen.name + ": " + error.message);
+    }
+  }
+
+  function closeImport() {
+    setFile(null);
+    setMapping(null);
+  }
+
+  return (
+    <div className="import-export">
+      {Object.entries(FORMATS).map(([format, { label }]) => (
+        <button type="button" key={format} onClick={() => handleExport(format)}>
+          Export {label}
+        </button>
+      ))}
+      <label className="import-button">
+        Import…
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+      </label>
+      {readError && (
+        <p className="query-error" role="alert">
+          {readError}
+        </p>
+      )}
+      {file && (
+        <ImportPreview
+          file={file}
+          mapping={mapping}
+          mode={mode}
+          products={products}
+          onMappingChange={setMapping}
+          onModeChange={setMode}
+          onImport={(imported) => {
+            onImport(imported, mode);
+            closeImport();
+          }}
+          onCancel={closeImport}
+        />
+      )}
+    </div>
+  );
+}
+
+function ImportPreview({ file, mapping, mode, products, onMappingChange, onModeChange, onImport, onCancel }) {
+  const results = importRows(file.rows, mapping);
+  const ready = results.filter((result) => result.product).map((result) => result.product);
+  const problems = results.filter((result) => result.errors.length > 0);
+  const existing = new Set(products.map((product) => product.name.toLowerCase()));
+  const updated = ready.filter((product) => existing.has(product.name.toLowerCase())).length;
+  const cellText = (cells, field) => (mapping[field] === null ? "" : String(cells[mapping[field]] ?? ""));
+
+  return (
+    <section className="import-preview" aria-label={"Import " + file.fileName}>
+      <h3>Import {file.fileName}</h3>
+      <fieldset className="column-mapping">
+        <legend>Columns</legend>
+        {PRODUCT_FIELDS.map((field) => (
+          <label key={field}>
+            {field}{" "}
+            <select
+              value={mapping[field] ?? ""}
+              onChange={(e) =>
+                onMappingChange({ ...mapping, [field]: e.target.value === "" ? null : Number(e.target.value) })
+              }
+            >
+              <option value="">{field === "stocked" ? "(none: all in stock)" : "(none)"}</option>
+              {file.columns.map((column, i) => (
+                <option key={i} value={i}>
+                  {column}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </fieldset>
+
+      <table className="import-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            {PRODUCT_FIELDS.map((field) => (
+              <th key={field}>{field}</th>
+            ))}
+            <th>Problems</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.slice(0, PREVIEW_ROWS).map(({ row, errors }, i) => (
+            <tr key={row} className={errors.length > 0 ? "import-row-error" : undefined}>
+              <td>{row}</td>
+              {PRODUCT_FIELDS.map((field) => (
+                <td key={field}>{cellText(file.rows[i], field)}</td>
+              ))}
+              <td>{errors.join("; ")}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {results.length > PREVIEW_ROWS && <p>…and {plural(results.length - PREVIEW_ROWS, "more row")}.</p>}
+
+      <p>
+        {plural(ready.length, "row")} of {results.length} can be imported.
+        {problems.length > 0 && " Rows with problems are left out:"}
+      </p>
+      {problems.length > 0 && (
+        <ul className="import-problems">
+          {problems.slice(0, LISTED_PROBLEMS).map(({ row, errors }) => (
+            <li key={row}>
+              Row {row}: {errors.join("; ")}
+            </li>
+          ))}
+          {problems.length > LISTED_PROBLEMS && <li>…and {plural(problems.length - LISTED_PROBLEMS, "more row")}</li>}
+        </ul>
+      )}
+
+      <fieldset className="import-mode">
+        <legend>Into the catalog</legend>
+        <label>
+          <input type="radio" name="import-mode" checked={mode === "merge"} onChange={() => onModeChange("merge")} />{" "}
+          Merge: {ready.length - updated} new, {updated} replacing products with the same name
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="import-mode"
+            checked={mode === "replace"}
+            onChange={() => onModeChange("replace")}
+          />{" "}
+          Replace: the catalog becomes these {plural(ready.length, "product")}, {products.length} now
+        </label>
+      </fieldset>
+      <button type="button" disabled={ready.length === 0} onClick={() => onImport(ready)}>
+        Import {plural(ready.length, "product")}
+      </button>
+      <button type="button" onClick={onCancel}>
+        Cancel
+      </button>
+    </section>
+  );
+}
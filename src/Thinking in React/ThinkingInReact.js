@@ -1,4 +1,34 @@
-import { useState } from "react";
+import { useDeferredValue, useEffect, useMemo, useReducer, useRef, useState } from "react";
+import "./ThinkingInReact.css";
+import {
+  formatPrice,
+  formatPriceRange,
+  groupProducts,
+  nameKey,
+  nextSortOrder,
+  sortProducts,
+} from "./products";
+import { isRankedQuery, parseQuery, scoreQuery, suggestCompletions } from "./productQuery";
+import { highlightRuns } from "./fuzzyMatch";
+import {
+  EMPTY_DRAFT,
+  applyEdits,
+  describeEdit,
+  draftOf,
+  editsReducer,
+  isDraftDirty,
+  loadEdits,
+  storeEdits,
+  validateDraft,
+} from "./catalogEdits";
+import CartPanel from "./CartPanel";
+import FacetFilters from "./FacetFilters";
+import { cartReducer, loadCart, storeCart } from "./cart";
+import ImportExport from "./ImportExport";
+import { catalogCategories, facetCounts, matchesFacets, priceBounds } from "./facets";
+import useCatalog, { CATALOG_URL } from "./useCatalog";
+import useFilterUrl from "./useFilterUrl";
+import useScrollWindow from "./useScrollWindow";
 /*
 React can change how you think about the designs you look at and the apps you build. When you build a user 
 interface with React, you will first break it apart into pieces called components. Then, you will describe the 
@@ -56,54 +86,496 @@ You can either build “top down” by starting with building the components hig
 it’s usually easier to go top-down, and on larger projects, it’s easier to go bottom-up.
 */
 
-function ProductCategoryRow({ category }) {
+// The header of a category group, with what is in it. Clicking it folds the group away.
+function ProductCategoryRow({ category, summary, collapsed, onToggle, rowIndex }) {
   return (
-    <tr>
-      <th colSpan="2">{category}</th>
+    <tr className="category-row" aria-rowindex={rowIndex}>
+      <th colSpan="3">
+        <button type="button" className="category-toggle" aria-expanded={!collapsed} onClick={onToggle}>
+          {collapsed ? "▸ " : "▾ "}
+          {category}
+        </button>
+        <span className="category-summary">
+          {summary.count} {summary.count === 1 ? "item" : "items"}, {summary.inStock} in stock,{" "}
+          {formatPriceRange(summary.minPrice, summary.maxPrice)}
+        </span>
+      </th>
     </tr>
   );
 }
 
-function ProductRow({ product }) {
+// `highlight` lists the characters of the name that matched the search, and `inCart` how many are in the cart.
+function ProductRow({ product, highlight = [], inCart = 0, rowIndex, onAddToCart, onEdit, onDelete }) {
+  const runs = highlightRuns(product.name, highlight).map((run, i) =>
+    run.highlighted ? <mark key={i}>{run.text}</mark> : run.text
+  );
   const name = product.stocked ? (
-    product.name
+    runs
   ) : (
-    <span style={{ color: "red" }}>{product.name}</span>
+    <span style={{ color: "red" }}>{runs}</span>
   );
 
   return (
-    <tr>
+    <tr aria-rowindex={rowIndex}>
       <td>{name}</td>
-      <td>{product.price}</td>
+      <td className="price">{formatPrice(product.price)}</td>
+      <td className="row-actions">
+        {inCart > 0 && <span className="in-cart">{inCart} in cart</span>}
+        <button
+          type="button"
+          aria-label={"Add " + product.name + " to cart"}
+          title={product.stocked ? undefined : "Out of stock"}
+          disabled={!product.stocked}
+          onClick={onAddToCart}
+        >
+          Add to cart
+        </button>
+        <button type="button" aria-label={"Edit " + product.name} onClick={onEdit}>
+          Edit
+        </button>
+        <button type="button" aria-label={"Delete " + product.name} onClick={onDelete}>
+          Delete
+        </button>
+      </td>
     </tr>
   );
 }
 
-function ProductTable({ products, filterText, inStockOnly }) {
-  const rows = [];
-  let lastCategory = null;
+/*
+A product being edited in place. It has to fit the height of any other row, so a field that is wrong is outlined,
+with its message on hover and the first one shown after the buttons. Enter saves and Escape cancels.
+*/
+function ProductEditRow({ draft, errors, isDirty, rowIndex, onChange, onSave, onCancel }) {
+  const firstError = Object.values(errors)[0];
+
+  function handleKeyDown(e) {
+    if (e.key === "Enter" && e.target.type !== "checkbox" && e.target.tagName === "INPUT") {
+      e.preventDefault();
+      onSave();
+    } else if (e.key === "Escape") {
+      onCancel();
+    }
+  }
+
+  function field(name, label, className) {
+    return (
+      <input
+        className={className}
+        aria-label={label}
+        aria-invalid={Boolean(errors[name])}
+        title={errors[name]}
+        list={name === "category" ? "product-categories" : undefined}
+        value={draft[name]}
+        onChange={(e) => onChange({ [name]: e.target.value })}
+      />
+    );
+  }
+
+  return (
+    <tr className={isDirty ? "edit-row dirty-row" : "edit-row"} aria-rowindex={rowIndex} onKeyDown={handleKeyDown}>
+      <td>
+        {field("name", "Name", "name-input")}
+        {field("category", "Category", "category-input")}
+      </td>
+      <td className="price">{field("price", "Price", "price-input")}</td>
+      <td className="row-actions">
+        <label>
+          <input
+            type="checkbox"
+            checked={draft.stocked}
+            onChange={(e) => onChange({ stocked: e.target.checked })}
+          />{" "}
+          In stock
+        </label>
+        <button type="button" onClick={onSave}>
+          Save
+        </button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+        {isDirty && (
+          <span className="dirty-marker" title="Unsaved changes" aria-label="Unsaved changes">
+            ●
+          </span>
+        )}
+        {firstError && (
+          <span className="row-error" role="alert" title={firstError}>
+            {firstError}
+          </span>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+// A column header that sorts the table. The small number shows its place among several sort keys.
+function SortableHeader({ label, sortKey, sortOrder, onSort }) {
+  const index = sortOrder.findIndex((sort) => sort.key === sortKey);
+  const sort = sortOrder[index];
+  let ariaSort;
+  if (index === 0) ariaSort = sort.direction === "asc" ? "ascending" : "descending";
+  return (
+    <th aria-sort={ariaSort}>
+      <button
+        type="button"
+        className="sort-button"
+        title="Click to sort, shift-click to add as another sort key"
+        onClick={(e) => onSort(sortKey, e.shiftKey)}
+      >
+        {label}
+        {sort && (
+          <span className="sort-indicator">
+            {sort.direction === "asc" ? " ▲" : " ▼"}
+            {sortOrder.length > 1 && <sup>{index + 1}</sup>}
+          </span>
+        )}
+      </button>
+    </th>
+  );
+}
 
+// The products that pass the search and the in-stock checkbox, each with how well it matched and the characters of
+// its name that did: [{ product, score, nameIndices }].
+function searchProducts(products, query, inStockOnly) {
+  const results = [];
   products.forEach((product) => {
-    if(product.name.toLowerCase().indexOf(filterText.toLowerCase()) === -1){
+    if(inStockOnly && !product.stocked){
       return;
     }
-    if(inStockOnly && !product.stocked){
+    const match = scoreQuery(query, product);
+    if(match){
+      results.push({ product, ...match });
+    }
+  });
+  return results;
+}
+
+/*
+The results of searchProducts grouped by category: [{ category, summary, matches: [{ product, nameIndices }] }].
+With text to search for and no column picked to sort by, the best matches come first: within each group, and the
+group with the best match first.
+*/
+function groupResults(results, query, sortOrder) {
+  const matches = new Map(results.map((result) => [result.product, result]));
+  const isRanked = isRankedQuery(query) && sortOrder.length === 0;
+  const byRelevance = (a, b) => matches.get(b).score - matches.get(a).score;
+  const groups = groupProducts(results.map((result) => result.product));
+  if (isRanked) {
+    groups.forEach((group) => group.products.sort(byRelevance));
+    groups.sort((a, b) => byRelevance(a.products[0], b.products[0]));
+  }
+  return groups.map(({ category, products: categoryProducts, summary }) => ({
+    category,
+    summary,
+    matches: (isRanked ? categoryProducts : sortProducts(categoryProducts, sortOrder)).map((product) => ({
+      product,
+      nameIndices: matches.get(product).nameIndices,
+    })),
+  }));
+}
+
+// Every row is this tall (see ThinkingInReact.css), so the table knows where each one goes without mounting it.
+const ROW_HEIGHT = 32;
+const TABLE_HEIGHT = 480;
+
+/*
+The catalog can run to a hundred thousand products, so the table scrolls inside a box of its own and only mounts the
+rows in view, keeping empty space the height of the rest. The header of the category being scrolled through sticks
+to the top, under the column headers: it is always mounted along with the rows in view, and CSS keeps it in place.
+
+`groups` are the rows to show, from groupResults, and `filters` what they were filtered with. `products` is the whole
+catalog, to check edits against, and `cart` the shopping cart, to show what is in it.
+*/
+function ProductTable({
+  products,
+  groups,
+  filters,
+  sortOrder,
+  cart,
+  onSortChange,
+  onAddToCart,
+  onUpdateProduct,
+  onDeleteProduct,
+}) {
+  // Folding a group only changes how this table looks, so the table keeps that state itself.
+  const [collapsedCategories, setCollapsedCategories] = useState([]);
+  // Rows being edited, by the name of their product: { draft, showErrors }. They are kept here rather than in the
+  // rows, so an edit survives its row being scrolled out of view. Errors show once saving has been tried.
+  const [drafts, setDrafts] = useState({});
+
+  function handleSort(key, addKey) {
+    onSortChange(nextSortOrder(sortOrder, key, addKey));
+  }
+
+  function startEdit(product) {
+    setDrafts({ ...drafts, [product.name]: { draft: draftOf(product), showErrors: false } });
+  }
+
+  function changeDraft(name, changes) {
+    setDrafts({ ...drafts, [name]: { ...drafts[name], draft: { ...drafts[name].draft, ...changes } } });
+  }
+
+  function closeDraft(name) {
+    const { [name]: closed, ...rest } = drafts;
+    setDrafts(rest);
+  }
+
+  function saveDraft(product) {
+    const { draft } = drafts[product.name];
+    if (!isDraftDirty(draft, product)) {
+      closeDraft(product.name);
+      return;
+    }
+    const { product: edited, errors } = validateDraft(draft, products, product.name);
+    if (Object.keys(errors).length > 0) {
+      setDrafts({ ...drafts, [product.name]: { draft, showErrors: true } });
       return;
     }
-    if (product.category !== lastCategory) {
-      rows.push(
+    closeDraft(product.name);
+    onUpdateProduct(product.name, edited);
+  }
+
+  function deleteProduct(product) {
+    closeDraft(product.name);
+    onDeleteProduct(product.name);
+  }
+
+  function toggleCategory(category) {
+    setCollapsedCategories(
+      collapsedCategories.includes(category)
+        ? collapsedCategories.filter((c) => c !== category)
+        : [...collapsedCategories, category]
+    );
+  }
+
+  // Every row of the table in order, mounted or not. Product rows remember where their category's header is.
+  const rows = useMemo(() => {
+    const rows = [];
+    groups.forEach((group) => {
+      const collapsed = collapsedCategories.includes(group.category);
+      const headerIndex = rows.length;
+      rows.push({ type: "category", group, collapsed });
+      if (collapsed) return;
+      group.matches.forEach((match) => rows.push({ type: "product", ...match, headerIndex }));
+    });
+    return rows;
+  }, [groups, collapsedCategories]);
+
+  const { start, end, scrollerProps, scrollTo } = useScrollWindow({
+    rowCount: rows.length,
+    rowHeight: ROW_HEIGHT,
+    height: TABLE_HEIGHT,
+  });
+
+  // A new search, filter or sort starts from the top; an edit or a refreshed catalog keeps its place.
+  const search = [filters, sortOrder];
+  const lastSearch = useRef(search);
+  useEffect(() => {
+    if (search.every((value, i) => value === lastSearch.current[i])) return;
+    lastSearch.current = search;
+    scrollTo(0);
+  });
+
+  const cartQuantities = new Map(cart.map((item) => [nameKey(item.name), item.quantity]));
+
+  function renderRow(index) {
+    const row = rows[index];
+    // aria-rowindex counts from 1, and the column headers are row 1.
+    if (row.type === "category") {
+      const { category, summary } = row.group;
+      return (
         <ProductCategoryRow
-          category={product.category}
-          key={product.category}
+          category={category}
+          summary={summary}
+          collapsed={row.collapsed}
+          onToggle={() => toggleCategory(category)}
+          rowIndex={index + 2}
+          key={"category:" + category}
         />
       );
     }
-    rows.push(<ProductRow product={product} key={product.name} />);
-    lastCategory = product.category;
-  });
+    const { product } = row;
+    const editing = drafts[product.name];
+    if (editing) {
+      return (
+        <ProductEditRow
+          draft={editing.draft}
+          errors={editing.showErrors ? validateDraft(editing.draft, products, product.name).errors : {}}
+          isDirty={isDraftDirty(editing.draft, product)}
+          rowIndex={index + 2}
+          onChange={(changes) => changeDraft(product.name, changes)}
+          onSave={() => saveDraft(product)}
+          onCancel={() => closeDraft(product.name)}
+          key={"product:" + product.name}
+        />
+      );
+    }
+    return (
+      <ProductRow
+        product={product}
+        highlight={row.nameIndices}
+        inCart={cartQuantities.get(nameKey(product.name))}
+        rowIndex={index + 2}
+        onAddToCart={() => onAddToCart(product)}
+        onEdit={() => startEdit(product)}
+        onDelete={() => deleteProduct(product)}
+        key={"product:" + product.name}
+      />
+    );
+  }
+
+  // Row keys are prefixed with what the row is, so a product can't share a key with a category or a spacer.
+  function spacer(rowCount, key) {
+    if (rowCount <= 0) return null;
+    return (
+      <tr
+        className="spacer-row"
+        aria-hidden="true"
+        style={{ height: rowCount * ROW_HEIGHT }}
+        key={"spacer:" + key}
+      />
+    );
+  }
+
+  const mounted = [];
+  const stickyIndex = start < rows.length ? rows[start].headerIndex : undefined;
+  if (stickyIndex !== undefined && stickyIndex < start) {
+    mounted.push(spacer(stickyIndex, "before-header"), renderRow(stickyIndex), spacer(start - stickyIndex - 1, "top"));
+  } else {
+    mounted.push(spacer(start, "top"));
+  }
+  for (let i = start; i < end; i++) {
+    mounted.push(renderRow(i));
+  }
+  mounted.push(spacer(rows.length - end, "bottom"));
+
+  return (
+    <div className="product-table-scroller" style={{ maxHeight: TABLE_HEIGHT }} {...scrollerProps}>
+      <table className="product-table" aria-rowcount={rows.length + 1}>
+        <thead>
+          <tr aria-rowindex={1}>
+            <SortableHeader label="Name" sortKey="name" sortOrder={sortOrder} onSort={handleSort} />
+            <SortableHeader label="Price" sortKey="price" sortOrder={sortOrder} onSort={handleSort} />
+            <th aria-label="Actions" />
+          </tr>
+        </thead>
+        <tbody>{mounted}</tbody>
+      </table>
+      <CategoryOptions products={products} />
+    </div>
+  );
+}
+
+// The categories there already are, offered by the category inputs.
+function CategoryOptions({ products }) {
+  const categories = useMemo(() => [...new Set(products.map((product) => product.category))].sort(), [products]);
+  return (
+    <datalist id="product-categories">
+      {categories.map((category) => (
+        <option key={category} value={category} />
+      ))}
+    </datalist>
+  );
+}
+
+// A form for a new product, above the table. Unlike a row it has room to show every problem under its field.
+function AddProductForm({ products, onAdd, onClose }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [showErrors, setShowErrors] = useState(false);
+  const { product, errors } = validateDraft(draft, products);
+  const shownErrors = showErrors ? errors : {};
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    onAdd(product);
+    setDraft(EMPTY_DRAFT);
+    setShowErrors(false);
+  }
+
+  function field(name, label) {
+    return (
+      <label className="add-product-field">
+        {label}
+        <input
+          aria-invalid={Boolean(shownErrors[name])}
+          aria-describedby={shownErrors[name] ? "add-product-" + name + "-error" : undefined}
+          list={name === "category" ? "product-categories" : undefined}
+          value={draft[name]}
+          onChange={(e) => setDraft({ ...draft, [name]: e.target.value })}
+        />
+        {shownErrors[name] && (
+          <span className="field-error" id={"add-product-" + name + "-error"}>
+            {shownErrors[name]}
+          </span>
+        )}
+      </label>
+    );
+  }
+
+  return (
+    <form className="add-product" aria-label="Add a product" onSubmit={handleSubmit}>
+      {field("name", "Name")}
+      {field("category", "Category")}
+      {field("price", "Price")}
+      <label className="add-product-field">
+        <input
+          type="checkbox"
+          checked={draft.stocked}
+          onChange={(e) => setDraft({ ...draft, stocked: e.target.checked })}
+        />{" "}
+        In stock
+      </label>
+      <button type="submit">Add</button>
+      <button type="button" onClick={onClose}>
+        Close
+      </button>
+    </form>
+  );
+}
+
+// Adding products, and taking back the last edits one at a time.
+function EditToolbar({ edits, isAdding, onAddClick, onUndo }) {
+  const lastEdit = edits[edits.length - 1];
+  return (
+    <div className="edit-toolbar">
+      <button type="button" aria-expanded={isAdding} onClick={onAddClick}>
+        Add product
+      </button>
+      <button type="button" disabled={!lastEdit} onClick={onUndo}>
+        {lastEdit ? "Undo: " + describeEdit(lastEdit) : "Undo"}
+      </button>
+      {edits.length > 0 && (
+        <span className="edit-count">
+          {edits.length} {edits.length === 1 ? "edit" : "edits"} in this browser
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Stands in for the table while the catalog loads: the same headers over grey bars where the products will be.
+const SKELETON_ROWS = 6;
 
+function ProductTableSkeleton() {
+  const rows = [];
+  for (let i = 0; i < SKELETON_ROWS; i++) {
+    rows.push(
+      <tr className="skeleton-row" key={i}>
+        <td>
+          <span className="skeleton-bar" style={{ width: 60 + ((i * 37) % 40) + "%" }} />
+        </td>
+        <td className="price">
+          <span className="skeleton-bar" style={{ width: "2em" }} />
+        </td>
+      </tr>
+    );
+  }
   return (
-    <table>
+    <table aria-busy="true" aria-label="Loading products">
       <thead>
         <tr>
           <th>Name</th>
@@ -115,60 +587,187 @@ function ProductTable({ products, filterText, inStockOnly }) {
   );
 }
 
+// Why the catalog couldn't be loaded, with a way to try again. Over a catalog loaded earlier it is a one-line notice.
+function CatalogError({ message, hasProducts, onRetry }) {
+  return (
+    <div className={hasProducts ? "catalog-error catalog-error-stale" : "catalog-error"} role="alert">
+      <p>
+        {hasProducts ? "Showing the products loaded before; couldn't refresh them. " : "Couldn't load the products. "}
+        {message}
+      </p>
+      <button type="button" onClick={onRetry}>
+        Retry
+      </button>
+    </div>
+  );
+}
+
+// The search box takes the query language of productQuery.js. The browser offers completions for field names and
+// categories, and a query it can't read is explained underneath instead of being searched for.
 function SearchBar({
+  products,
   filterText,
+  queryError,
   inStockOnly,
   onFilterTextChange,
   onInStockOnlyChange
 }) {
+  const suggestions = suggestCompletions(filterText, products);
   return (
-    <form>
+    <form onSubmit={(e) => e.preventDefault()}>
       <input
         type="text"
-        placeholder="Search..."
+        placeholder='Search... e.g. category:Fruits price<2 "dragon"'
+        list="product-query-suggestions"
+        aria-invalid={queryError !== null}
+        aria-describedby={queryError ? "product-query-error" : undefined}
         value={filterText}
         onChange={(e) => onFilterTextChange(e.target.value)}
       />
+      <datalist id="product-query-suggestions">
+        {suggestions.map((suggestion) => (
+          <option key={suggestion} value={suggestion} />
+        ))}
+      </datalist>
       <label>
         <input type="checkbox" 
         checked={inStockOnly}
         onChange={(e) => onInStockOnlyChange(e.target.checked)}/>{' '} Only show products in stock
       </label>
+      {queryError && (
+        <p className="query-error" id="product-query-error" role="alert">
+          {queryError}
+        </p>
+      )}
     </form>
   );
 }
 
-function FilterableProductTable({ products }) {
-  const [filterText, setFilterText] = useState('');
-  const [inStockOnly, setInStockOnly] = useState(false);
+// The query for the search text, derived on every render rather than kept in state of its own: { query, error },
+// with the query null and the error the message when the text can't be read.
+function readQuery(text) {
+  try {
+    return { query: parseQuery(text), error: null };
+  } catch (error) {
+    return { query: null, error: error.message };
+  }
+}
+
+// `catalogUrl` is where the products come from: the JSON API, server/catalog.js with `npm run catalog`, or null for
+// the catalog bundled with the app.
+function FilterableProductTable({ catalogUrl }) {
+  const { products: fetchedCatalog, error, isFetching, retry } = useCatalog(catalogUrl);
+  // Edits made in the table, on top of the catalog from the API (see catalogEdits.js).
+  const [edits, dispatchEdit] = useReducer(editsReducer, catalogUrl, loadEdits);
+  const [isAdding, setIsAdding] = useState(false);
+  // The shopping cart, kept in localStorage so it survives a reload (see cart.js).
+  const [cart, dispatchCart] = useReducer(cartReducer, undefined, loadCart);
+  useEffect(() => {
+    storeCart(cart);
+  }, [cart]);
+  const catalog = useMemo(
+    () => (fetchedCatalog ? applyEdits(fetchedCatalog, edits) : null),
+    [fetchedCatalog, edits]
+  );
+  useEffect(() => {
+    storeEdits(catalogUrl, edits);
+  }, [catalogUrl, edits]);
+  // The search text, the in-stock checkbox, the sort order (most important key first; empty keeps the order the
+  // products came in) and the facets are kept in the URL, so the view can be shared.
+  const [{ filterText, inStockOnly, sortOrder, categories, minPrice, maxPrice }, changeFilters] = useFilterUrl();
+  // The table follows the search text a step behind, so the box keeps up with typing while a large catalog is
+  // searched. A query it can't read is reported straight away.
+  const deferredFilterText = useDeferredValue(filterText);
+  const { query } = useMemo(() => readQuery(deferredFilterText), [deferredFilterText]);
+  const { error: queryError } = readQuery(filterText);
+
+  // Searching the whole catalog is the slow part, so each step only runs again when what it depends on changes.
+  // The facets count what the search leaves, and the table shows what the facets leave of that.
+  const facets = useMemo(() => ({ categories, minPrice, maxPrice }), [categories, minPrice, maxPrice]);
+  const filters = useMemo(() => ({ query, inStockOnly, facets }), [query, inStockOnly, facets]);
+  const allCategories = useMemo(() => (catalog ? catalogCategories(catalog) : []), [catalog]);
+  const bounds = useMemo(() => (catalog ? priceBounds(catalog) : null), [catalog]);
+  const results = useMemo(
+    () => (catalog ? searchProducts(catalog, query, inStockOnly) : []),
+    [catalog, query, inStockOnly]
+  );
+  const counts = useMemo(() => facetCounts(results.map((result) => result.product), facets), [results, facets]);
+  const groups = useMemo(
+    () => groupResults(results.filter((result) => matchesFacets(result.product, facets)), query, sortOrder),
+    [results, facets, query, sortOrder]
+  );
   return (
     <div>
       <SearchBar
+        products={catalog ?? []}
         filterText={filterText}
+        queryError={queryError}
         inStockOnly={inStockOnly}
-        onFilterTextChange={setFilterText}
-        onInStockOnlyChange={setInStockOnly}
-      />
-      <ProductTable
-        products={products}
-        filterText={filterText}
-        inStockOnly={inStockOnly}
+        onFilterTextChange={(text) => changeFilters({ filterText: text })}
+        onInStockOnlyChange={(checked) => changeFilters({ inStockOnly: checked })}
       />
+      {error && <CatalogError message={error} hasProducts={catalog !== null} onRetry={retry} />}
+      {catalog && isFetching && (
+        <p className="catalog-status" aria-live="polite">
+          Checking for updates…
+        </p>
+      )}
+      {catalog && (
+        <EditToolbar
+          edits={edits}
+          isAdding={isAdding}
+          onAddClick={() => setIsAdding(!isAdding)}
+          onUndo={() => dispatchEdit({ type: "undo" })}
+        />
+      )}
+      {catalog && (
+        <ImportExport
+          products={catalog}
+          getViewProducts={() => groups.flatMap((group) => group.matches.map((match) => match.product))}
+          onImport={(products, mode) => dispatchEdit({ type: "import", products, mode })}
+        />
+      )}
+      {catalog && isAdding && (
+        <AddProductForm
+          products={catalog}
+          onAdd={(product) => dispatchEdit({ type: "add", product })}
+          onClose={() => setIsAdding(false)}
+        />
+      )}
+      {catalog ? (
+        <div className="product-browser">
+          <FacetFilters
+            categories={allCategories}
+            bounds={bounds}
+            facets={facets}
+            counts={counts}
+            onChange={changeFilters}
+          />
+          <ProductTable
+            products={catalog}
+            groups={groups}
+            filters={filters}
+            sortOrder={sortOrder}
+            cart={cart}
+            onSortChange={(order) => changeFilters({ sortOrder: order })}
+            onAddToCart={(product) => dispatchCart({ type: "add", product })}
+            onUpdateProduct={(name, product) => {
+              dispatchEdit({ type: "update", name, product });
+              dispatchCart({ type: "rename", name, newName: product.name });
+            }}
+            onDeleteProduct={(name) => dispatchEdit({ type: "delete", name })}
+          />
+          <CartPanel cart={cart} products={catalog} onCartAction={dispatchCart} />
+        </div>
+      ) : (
+        isFetching && <ProductTableSkeleton />
+      )}
     </div>
   );
 }
 
-const PRODUCTS = [
-  { category: "Fruits", price: "$1", stocked: true, name: "Apple" },
-  { category: "Fruits", price: "$1", stocked: true, name: "Dragonfruit" },
-  { category: "Fruits", price: "$2", stocked: false, name: "Passionfruit" },
-  { category: "Vegetables", price: "$2", stocked: true, name: "Spinach" },
-  { category: "Vegetables", price: "$4", stocked: false, name: "Pumpkin" },
-  { category: "Vegetables", price: "$1", stocked: true, name: "Peas" },
-];
-
 export default function App() {
-  return <FilterableProductTable products={PRODUCTS} />;
+  return <FilterableProductTable catalogUrl={CATALOG_URL} />;
 }
 
 /*------------------Step 3: Find the minimal but complete representation of UI state--------------------------*/
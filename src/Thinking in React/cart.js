@@ -0,0 +1,111 @@
+import { nameKey } from "./products";
+
+// The shopping cart: a list of { name, quantity }, one per product, in the order they were first added. Only names
+// are kept, so prices always come from the catalog as it is now. Names are matched the way the catalog matches them,
+// ignoring case (see nameKey).
+
+const STORAGE_KEY = "thinking-in-react.cart";
+export const MAX_QUANTITY = 99;
+
+// A whole number of items from 0 to MAX_QUANTITY, or null for anything that isn't a number at all, like what an
+// emptied quantity box gives.
+function clampQuantity(quantity) {
+  if (typeof quantity !== "number" || !Number.isFinite(quantity)) return null;
+  return Math.min(Math.max(Math.floor(quantity), 0), MAX_QUANTITY);
+}
+
+/*
+The cart as a reducer. Actions:
+- { type: "add", product, quantity }: adds to the quantity of that product, 1 if not given. Products that are out
+  of stock can't be added.
+- { type: "setQuantity", name, quantity }: quantities up to MAX_QUANTITY; 0 takes the product out
+- { type: "remove", name }
+- { type: "rename", name, newName }: follows a product renamed in the catalog, so its line isn't left behind
+  unavailable; a line already under the new name takes the quantity
+- { type: "clear" }
+A quantity that isn't a number leaves the cart as it is.
+*/
+export function cartReducer(cart, action) {
+  const isNamed = (item) => nameKey(item.name) === nameKey(action.name);
+  switch (action.type) {
+    case "add": {
+      const { name, stocked } = action.product;
+      const quantity = clampQuantity(action.quantity ?? 1);
+      if (!stocked || !quantity) return cart;
+      const isProduct = (item) => nameKey(item.name) === nameKey(name);
+      if (!cart.some(isProduct)) {
+        return [...cart, { name, quantity }];
+      }
+      return cart.map((item) =>
+        isProduct(item) ? { ...item, quantity: clampQuantity(item.quantity + quantity) } : item
+      );
+    }
+    case "setQuantity": {
+      const quantity = clampQuantity(action.quantity);
+      if (quantity === null) return cart;
+      if (quantity === 0) return cart.filter((item) => !isNamed(item));
+      return cart.map((item) => (isNamed(item) ? { ...item, quantity } : item));
+    }
+    case "remove":
+      return cart.filter((item) => !isNamed(item));
+    case "rename": {
+      const moved = cart.find(isNamed);
+      if (!moved || moved.name === action.newName) return cart;
+      const isNewName = (item) => nameKey(item.name) === nameKey(action.newName);
+      const rest = cart.filter((item) => !isNamed(item));
+      if (!rest.some(isNewName)) {
+        return cart.map((item) => (item === moved ? { ...item, name: action.newName } : item));
+      }
+      return rest.map((item) =>
+        isNewName(item) ? { ...item, quantity: clampQuantity(item.quantity + moved.quantity) } : item
+      );
+    }
+    case "clear":
+      return [];
+    default:
+      throw Error("Unknown action: " + action.type);
+  }
+}
+
+/*
+The cart priced from the catalog: { lines, itemCount, total }. Each line is the cart item with its product, and
+lineTotal its price times the quantity; a product that has left the catalog or gone out of stock has a null product
+or is marked unavailable, and counts for nothing. Sums are worked out in cents, so $0.10 three times is $0.30.
+*/
+export function priceCart(cart, products) {
+  const byName = new Map(products.map((product) => [nameKey(product.name), product]));
+  let itemCount = 0;
+  let totalCents = 0;
+  const lines = cart.map((item) => {
+    const product = byName.get(nameKey(item.name)) ?? null;
+    const available = product !== null && product.stocked;
+    const lineCents = available ? Math.round(product.price * 100) * item.quantity : 0;
+    if (available) {
+      itemCount += item.quantity;
+      totalCents += lineCents;
+    }
+    return { ...item, product, available, lineTotal: lineCents / 100 };
+  });
+  return { lines, itemCount, total: totalCents / 100 };
+}
+
+export function loadCart() {
+  try {
+    const cart = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(cart)) return [];
+    return cart
+      .filter((item) => typeof item?.name === "string" && clampQuantity(item.quantity) > 0)
+      .map((item) => ({ name: item.name, quantity: clampQuantity(item.quantity) }));
+  } catch {
+    // Storage that is unavailable or holds something else just means an empty cart.
+    return [];
+  }
+}
+
+export function storeCart(cart) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cart));
+  } catch {
+    // Without storage the cart lasts until the page is closed.
+  }
+}
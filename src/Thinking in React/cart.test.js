@@ -0,0 +1,185 @@
+import { MAX_QUANTITY, cartReducer, loadCart, priceCart, storeCart } from "./cart";
+import { applyEdit } from "./catalogEdits";
+
+const APPLE = { category: "Fruits", price: 1, stocked: true, name: "Apple" };
+const PEAS = { category: "Vegetables", price: 0.1, stocked: true, name: "Peas" };
+const PUMPKIN = { category: "Vegetables", price: 4, stocked: false, name: "Pumpkin" };
+
+function reduce(cart, ...actions) {
+  return actions.reduce(cartReducer, cart);
+}
+
+describe("cartReducer", () => {
+  test("add puts a product in the cart, one at a time unless told otherwise", () => {
+    expect(reduce([], { type: "add", product: APPLE })).toEqual([{ name: "Apple", quantity: 1 }]);
+    expect(reduce([], { type: "add", product: PEAS, quantity: 3 })).toEqual([{ name: "Peas", quantity: 3 }]);
+  });
+
+  test("adding a product that is already in the cart adds to its quantity, in its place", () => {
+    const cart = reduce(
+      [],
+      { type: "add", product: APPLE },
+      { type: "add", product: PEAS },
+      { type: "add", product: APPLE, quantity: 2 }
+    );
+    expect(cart).toEqual([
+      { name: "Apple", quantity: 3 },
+      { name: "Peas", quantity: 1 },
+    ]);
+    expect(reduce(cart, { type: "add", product: APPLE, quantity: 500 })[0].quantity).toBe(MAX_QUANTITY);
+  });
+
+  test("add leaves out products that are out of stock, and quantities that aren't at least 1", () => {
+    const cart = [{ name: "Apple", quantity: 1 }];
+    expect(reduce(cart, { type: "add", product: PUMPKIN })).toBe(cart);
+    expect(reduce(cart, { type: "add", product: PEAS, quantity: 0 })).toBe(cart);
+    expect(reduce(cart, { type: "add", product: PEAS, quantity: -2 })).toBe(cart);
+    expect(reduce(cart, { type: "add", product: APPLE, quantity: NaN })).toBe(cart);
+  });
+
+  test("setQuantity changes a quantity, up to the most allowed, and 0 takes the product out", () => {
+    const cart = [
+      { name: "Apple", quantity: 1 },
+      { name: "Peas", quantity: 2 },
+    ];
+    expect(reduce(cart, { type: "setQuantity", name: "Peas", quantity: 5 })).toEqual([
+      { name: "Apple", quantity: 1 },
+      { name: "Peas", quantity: 5 },
+    ]);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: 2.7 })[0].quantity).toBe(2);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: 1000 })[0].quantity).toBe(MAX_QUANTITY);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: 0 })).toEqual([{ name: "Peas", quantity: 2 }]);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: -1 })).toEqual([{ name: "Peas", quantity: 2 }]);
+  });
+
+  test("setQuantity ignores a quantity that isn't a number", () => {
+    const cart = [{ name: "Apple", quantity: 1 }];
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: NaN })).toBe(cart);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: Infinity })).toBe(cart);
+    expect(reduce(cart, { type: "setQuantity", name: "Apple", quantity: "3" })).toBe(cart);
+  });
+
+  test("remove and clear", () => {
+    const cart = [
+      { name: "Apple", quantity: 1 },
+      { name: "Peas", quantity: 2 },
+    ];
+    expect(reduce(cart, { type: "remove", name: "Apple" })).toEqual([{ name: "Peas", quantity: 2 }]);
+    expect(reduce(cart, { type: "remove", name: "Kiwi" })).toEqual(cart);
+    expect(reduce(cart, { type: "clear" })).toEqual([]);
+  });
+
+  test("names are matched ignoring case, as the catalog matches them", () => {
+    const cart = [{ name: "Apple", quantity: 1 }];
+    expect(reduce(cart, { type: "add", product: { ...APPLE, name: "apple" } })).toEqual([
+      { name: "Apple", quantity: 2 },
+    ]);
+    expect(reduce(cart, { type: "setQuantity", name: "APPLE", quantity: 4 })).toEqual([{ name: "Apple", quantity: 4 }]);
+    expect(reduce(cart, { type: "remove", name: " apple " })).toEqual([]);
+  });
+
+  test("rename moves a line to the product's new name, in its place", () => {
+    const cart = [
+      { name: "Apple", quantity: 2 },
+      { name: "Peas", quantity: 1 },
+    ];
+    expect(reduce(cart, { type: "rename", name: "apple", newName: "Green apple" })).toEqual([
+      { name: "Green apple", quantity: 2 },
+      { name: "Peas", quantity: 1 },
+    ]);
+    expect(reduce(cart, { type: "rename", name: "Kiwi", newName: "Gold kiwi" })).toBe(cart);
+    expect(reduce(cart, { type: "rename", name: "Apple", newName: "Apple" })).toBe(cart);
+  });
+
+  test("rename onto a name already in the cart adds the quantities together", () => {
+    const cart = [
+      { name: "Apple", quantity: 2 },
+      { name: "Peas", quantity: 98 },
+    ];
+    expect(reduce(cart, { type: "rename", name: "Apple", newName: "peas" })).toEqual([
+      { name: "Peas", quantity: MAX_QUANTITY },
+    ]);
+  });
+
+  test("throws for an action it doesn't know", () => {
+    expect(() => reduce([], { type: "checkout" })).toThrow("Unknown action: checkout");
+  });
+});
+
+test("priceCart prices in cents and leaves out what can't be bought", () => {
+  const cart = [
+    { name: "Peas", quantity: 3 },
+    { name: "Pumpkin", quantity: 1 },
+    { name: "Kiwi", quantity: 2 },
+    { name: "Apple", quantity: 2 },
+  ];
+  const { lines, itemCount, total } = priceCart(cart, [APPLE, PEAS, PUMPKIN]);
+  expect(lines.map(({ name, available, lineTotal }) => [name, available, lineTotal])).toEqual([
+    ["Peas", true, 0.3],
+    ["Pumpkin", false, 0],
+    ["Kiwi", false, 0],
+    ["Apple", true, 2],
+  ]);
+  expect(lines[2].product).toBeNull();
+  expect(itemCount).toBe(5);
+  expect(total).toBe(2.3);
+});
+
+test("priceCart finds products ignoring case", () => {
+  const { lines, total } = priceCart([{ name: "apple", quantity: 2 }], [APPLE]);
+  expect(lines[0]).toMatchObject({ name: "apple", product: APPLE, available: true });
+  expect(total).toBe(2);
+});
+
+test("a product renamed after it was added stays in the cart under its new name", () => {
+  const renamed = { ...APPLE, name: "Green apple", price: 1.5 };
+  const catalog = applyEdit([APPLE, PEAS], { type: "update", name: "apple", product: renamed });
+  const cart = reduce(
+    [],
+    { type: "add", product: APPLE, quantity: 2 },
+    { type: "rename", name: "apple", newName: renamed.name }
+  );
+  const { lines, itemCount, total } = priceCart(cart, catalog);
+  expect(lines).toEqual([{ name: "Green apple", quantity: 2, product: renamed, available: true, lineTotal: 3 }]);
+  expect(itemCount).toBe(2);
+  expect(total).toBe(3);
+});
+
+describe("loadCart", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("restores the cart storeCart saved", () => {
+    const cart = [
+      { name: "Apple", quantity: 2 },
+      { name: "Peas", quantity: 1 },
+    ];
+    storeCart(cart);
+    expect(loadCart()).toEqual(cart);
+  });
+
+  test("starts empty without a saved cart, or with one it can't read", () => {
+    expect(loadCart()).toEqual([]);
+    localStorage.setItem("thinking-in-react.cart", "{");
+    expect(loadCart()).toEqual([]);
+    localStorage.setItem("thinking-in-react.cart", '{ "Apple": 1 }');
+    expect(loadCart()).toEqual([]);
+  });
+
+  test("drops items that aren't a product and a quantity", () => {
+    localStorage.setItem(
+      "thinking-in-react.cart",
+      JSON.stringify([
+        { name: "Apple", quantity: 2 },
+        { name: "Peas", quantity: null },
+        { name: "Kiwi", quantity: 0 },
+        { quantity: 1 },
+        null,
+        { name: "Pumpkin", quantity: 250, note: "big one" },
+      ])
+    );
+    expect(loadCart()).toEqual([
+      { name: "Apple", quantity: 2 },
+      { name: "Pumpkin", quantity: MAX_QUANTITY },
+    ]);
+  });
+});
@@ -0,0 +1,166 @@
+import { formatPrice, nameKey, parsePrice } from "./products";
+
+/*
+Edits made to the catalog in the table. The catalog itself comes from the API; the edits are kept as a list of
+changes made on top of it, so a refreshed catalog keeps them and undo simply takes the last one back off. An edit is
+  { type: "add", product }
+  { type: "update", name, product }   the product called `name` becomes `product`, which may have a new name
+  { type: "delete", name }
+  { type: "import", products, mode }  products read from a file, merged into the catalog ("merge": a product with
+                                      the same name is replaced, the rest added at the end) or replacing it ("replace")
+Products are told apart by name (the table uses it as their key), so names must be unique, ignoring case. An edit
+that no longer fits the catalog, like changing a product that has since gone or adding a name that has since
+appeared, is skipped.
+*/
+
+function sameName(a, b) {
+  return nameKey(a) === nameKey(b);
+}
+
+function findByName(products, name) {
+  return products.findIndex((product) => sameName(product.name, name));
+}
+
+export function applyEdit(products, edit) {
+  switch (edit.type) {
+    case "add":
+      if (findByName(products, edit.product.name) !== -1) return products;
+      return [...products, edit.product];
+    case "update": {
+      const index = findByName(products, edit.name);
+      const clash = findByName(products, edit.product.name);
+      if (index === -1 || (clash !== -1 && clash !== index)) return products;
+      return products.map((product, i) => (i === index ? edit.product : product));
+    }
+    case "delete":
+      return products.filter((product) => !sameName(product.name, edit.name));
+    case "import": {
+      if (edit.mode === "replace") return edit.products;
+      const imported = new Map(edit.products.map((product) => [nameKey(product.name), product]));
+      const merged = products.map((product) => imported.get(nameKey(product.name)) ?? product);
+      const existing = new Set(products.map((product) => nameKey(product.name)));
+      return [...merged, ...edit.products.filter((product) => !existing.has(nameKey(product.name)))];
+    }
+    default:
+      throw Error("Unknown edit: " + edit.type);
+  }
+}
+
+export function applyEdits(products, edits) {
+  return edits.reduce(applyEdit, products);
+}
+
+// "Added Apple", for the undo button.
+export function describeEdit(edit) {
+  switch (edit.type) {
+    case "add":
+      return "Added " + edit.product.name;
+    case "update":
+      return sameName(edit.name, edit.product.name)
+        ? "Changed " + edit.name
+        : "Renamed " + edit.name + " to " + edit.product.name;
+    case "delete":
+      return "Deleted " + edit.name;
+    case "import": {
+      const count = edit.products.length + (edit.products.length === 1 ? " product" : " products");
+      return edit.mode === "replace" ? "Replaced the catalog with " + count : "Imported " + count;
+    }
+    default:
+      throw Error("Unknown edit: " + edit.type);
+  }
+}
+
+/*
+The edit list as a reducer. Actions:
+- { type: "add", product }, { type: "update", name, product }, { type: "delete", name },
+  { type: "import", products, mode }: make that edit
+- { type: "undo" }: take back the last edit
+- { type: "clear" }: drop every edit, back to the catalog as the API has it
+*/
+export function editsReducer(edits, action) {
+  switch (action.type) {
+    case "add":
+    case "update":
+    case "delete":
+    case "import":
+      return [...edits, action];
+    case "undo":
+      return edits.slice(0, -1);
+    case "clear":
+      return [];
+    default:
+      throw Error("Unknown action: " + action.type);
+  }
+}
+
+// Edits are kept in localStorage per catalog URL, so they survive a reload.
+function editsKey(url) {
+  return "thinking-in-react.edits." + (url ?? "bundled");
+}
+
+export function loadEdits(url) {
+  try {
+    const edits = JSON.parse(localStorage.getItem(editsKey(url)));
+    return Array.isArray(edits) ? edits : [];
+  } catch {
+    // Storage that is unavailable or holds something else just means no edits.
+    return [];
+  }
+}
+
+export function storeEdits(url, edits) {
+  try {
+    if (edits.length === 0) {
+      localStorage.removeItem(editsKey(url));
+    } else {
+      localStorage.setItem(editsKey(url), JSON.stringify(edits));
+    }
+  } catch {
+    // Without storage the edits last until the page is closed.
+  }
+}
+
+/*
+Drafts are products being edited, with every field as the text in its input: { name, category, price, stocked }.
+validateDraft checks one against the rest of the catalog and returns { product, errors }: the product it describes,
+and messages by field name for whatever is wrong, empty when nothing is. `originalName` is the name of the product
+being edited, left out for a new one.
+*/
+export function draftOf(product) {
+  return {
+    name: product.name,
+    category: product.category,
+    price: formatPrice(product.price),
+    stocked: product.stocked,
+  };
+}
+
+export const EMPTY_DRAFT = { name: "", category: "", price: "", stocked: true };
+
+export function isDraftDirty(draft, product) {
+  const original = draftOf(product);
+  return Object.keys(original).some((field) => draft[field] !== original[field]);
+}
+
+export function validateDraft(draft, products, originalName) {
+  const errors = {};
+  const name = draft.name.trim();
+  const category = draft.category.trim();
+  let price = null;
+
+  if (name === "") {
+    errors.name = "Name is required";
+  } else {
+    const other = products.find(
+      (product) => sameName(product.name, name) && (originalName === undefined || !sameName(product.name, originalName))
+    );
+    if (other) errors.name = "There is already a product called " + other.name;
+  }
+  if (category === "") errors.category = "Category is required";
+  try {
+    price = parsePrice(draft.price);
+  } catch {
+    errors.price = "Price must be an amount like $1.50";
+  }
+  return { product: { name, category, price, stocked: draft.stocked }, errors };
+}
@@ -0,0 +1,81 @@
+/**
+ * @jest-environment node
+ */
+import http from "http";
+import { createCatalogServer } from "../../server/catalog";
+import fixture from "./catalog.json";
+
+let catalog;
+
+beforeEach(async () => {
+  catalog = await createCatalogServer({ port: 0, host: "127.0.0.1" });
+});
+
+afterEach(async () => {
+  await catalog.close();
+});
+
+// Resolves with { status, headers, body } once the whole answer is in, the body read as JSON.
+function request(path, method = "GET") {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port: catalog.port, path, method }, (res) => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (text += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+test("serves the fixture at /products, readable from another origin", async () => {
+  const { status, headers, body } = await request("/products");
+  expect(status).toBe(200);
+  expect(headers["content-type"]).toBe("application/json");
+  expect(headers["access-control-allow-origin"]).toBe("*");
+  expect(body).toEqual(fixture);
+});
+
+test("serves the products it was started with", async () => {
+  await catalog.close();
+  const products = [{ category: "Fruits", price: "$1", stocked: true, name: "Apple" }];
+  catalog = await createCatalogServer({ port: 0, host: "127.0.0.1", products });
+  expect((await request("/products")).body).toEqual(products);
+});
+
+test("?fail answers with that status, and only for error statuses", async () => {
+  expect(await request("/products?fail=503")).toMatchObject({
+    status: 503,
+    body: { error: "Failing on purpose with 503" },
+  });
+  expect((await request("/products?fail=200")).status).toBe(200);
+  expect((await request("/products?fail=oops")).status).toBe(200);
+});
+
+test("?delay holds the answer back", async () => {
+  const start = Date.now();
+  const { status } = await request("/products?delay=200");
+  expect(status).toBe(200);
+  expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+});
+
+test("anything but GET /products is not found", async () => {
+  expect(await request("/orders")).toMatchObject({ status: 404, body: { error: "Not found: GET /orders" } });
+  expect(await request("/products", "POST")).toMatchObject({
+    status: 404,
+    body: { error: "Not found: POST /products" },
+  });
+});
+
+test("close doesn't wait for answers still being held back", async () => {
+  const pending = request("/products?delay=60000");
+  pending.catch(() => {});
+  // Give the server a moment to take the request before closing.
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const start = Date.now();
+  const closing = catalog.close();
+  await expect(pending).rejects.toThrow();
+  await closing;
+  expect(Date.now() - start).toBeLessThan(5000);
+});
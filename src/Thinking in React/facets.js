@@ -0,0 +1,51 @@
+/*
+Facets: filters built from the catalog itself, a choice of categories and a price range:
+  { categories: ["Fruits"], minPrice: 1, maxPrice: null }
+No categories picked means every category, and a null price means no limit on that side.
+*/
+export const NO_FACETS = { categories: [], minPrice: null, maxPrice: null };
+
+function inCategories(product, categories) {
+  return categories.length === 0 || categories.includes(product.category);
+}
+
+function inPriceRange(product, { minPrice, maxPrice }) {
+  return (minPrice === null || product.price >= minPrice) && (maxPrice === null || product.price <= maxPrice);
+}
+
+export function matchesFacets(product, facets) {
+  return inCategories(product, facets.categories) && inPriceRange(product, facets);
+}
+
+// Every category in the catalog, in alphabetical order.
+export function catalogCategories(products) {
+  return [...new Set(products.map((product) => product.category))].sort((a, b) => a.localeCompare(b));
+}
+
+// { min, max } of the prices in the catalog, or null when it is empty. The price slider runs between them.
+export function priceBounds(products) {
+  if (products.length === 0) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  products.forEach(({ price }) => {
+    if (price < min) min = price;
+    if (price > max) max = price;
+  });
+  return { min, max };
+}
+
+/*
+The counts the facets show for `products`, those that pass every other filter: { categoryCounts, matching }.
+categoryCounts are by category, counted within the price range but whatever categories are ticked, so each says
+how many products ticking it shows; matching is how many pass both facets.
+*/
+export function facetCounts(products, facets) {
+  const categoryCounts = {};
+  let matching = 0;
+  products.forEach((product) => {
+    if (!inPriceRange(product, facets)) return;
+    categoryCounts[product.category] = (categoryCounts[product.category] ?? 0) + 1;
+    if (inCategories(product, facets.categories)) matching++;
+  });
+  return { categoryCounts, matching };
+}
@@ -0,0 +1,142 @@
+/*
+Fuzzy matching for the search box: "spinch" still finds Spinach, and the better the match, the higher the score.
+
+The pattern's characters have to appear in the text in order, not necessarily next to each other. Matches score
+more when they are consecutive, start a word or start the text, and less the more text they skip over. Longer
+patterns may also have a few characters that match nothing at all (one for every four), which covers a mistyped
+letter, at a cost high enough that any match without one ranks first.
+
+fuzzyMatch compares one text, and the dynamic programming behind it is sized pattern × text, so it stays cheap for
+product names. createFuzzyMatcher prepares a pattern once for matching many texts.
+*/
+
+const MATCH = 16;
+const CONSECUTIVE = 12;
+const WORD_START = 10;
+const TEXT_START = 6;
+const GAP = 1;
+const MISSING = 100;
+
+const NONE = -Infinity;
+
+function isWordStart(text, i) {
+  return i === 0 || /[\s\-_/(]/.test(text[i - 1]);
+}
+
+export function allowedMisses(pattern) {
+  return Math.floor(pattern.length / 4);
+}
+
+// Whether every character of `pattern` appears in `text` in order.
+function isSubsequence(pattern, text) {
+  let from = 0;
+  for (const char of pattern) {
+    const index = text.indexOf(char, from);
+    if (index === -1) return false;
+    from = index + 1;
+  }
+  return true;
+}
+
+// Builds the matcher for one pattern. The returned function gives { score, indices } for a text, with the indices
+// of the text's characters that matched, or null if the text doesn't match.
+export function createFuzzyMatcher(rawPattern) {
+  const pattern = rawPattern.toLowerCase();
+  const n = pattern.length;
+  const misses = allowedMisses(pattern);
+  const charCounts = new Map();
+  for (const char of pattern) charCounts.set(char, (charCounts.get(char) ?? 0) + 1);
+  // The tables are reused from one text to the next, and only grow for a longer text; a catalog has many texts.
+  let matched = new Float64Array(0);
+  let best = new Float64Array(0);
+
+  return function match(text) {
+    const lower = text.toLowerCase();
+    const m = lower.length;
+    if (n === 0) return { score: 0, indices: [] };
+
+    // Quick rejections before the full comparison: too many of the pattern's characters aren't in the text at all,
+    // or, when none may be missing, they aren't in it in order.
+    let absent = 0;
+    charCounts.forEach((count, char) => {
+      if (!lower.includes(char)) absent += count;
+    });
+    if (absent > misses) return null;
+    if (misses === 0 && !isSubsequence(pattern, lower)) return null;
+
+    // matched[i][j]: best score for the first i pattern characters with pattern[i - 1] matched at text[j - 1].
+    // best[i][j]: best score for the first i pattern characters within the first j characters of text.
+    // Both are stored row by row in one array, at i * width + j.
+    const width = m + 1;
+    if (matched.length < (n + 1) * width) {
+      matched = new Float64Array((n + 1) * width);
+      best = new Float64Array((n + 1) * width);
+    }
+    const bonuses = [];
+    for (let j = 1; j <= m; j++) {
+      bonuses[j] = MATCH + (isWordStart(text, j - 1) ? WORD_START : 0) + (j === 1 ? TEXT_START : 0);
+    }
+    for (let j = 0; j <= m; j++) {
+      matched[j] = NONE;
+      best[j] = 0;
+    }
+    for (let i = 1; i <= n; i++) {
+      const row = i * width;
+      const previousRow = row - width;
+      matched[row] = NONE;
+      best[row] = best[previousRow] - MISSING;
+      for (let j = 1; j <= m; j++) {
+        matched[row + j] =
+          pattern[i - 1] === lower[j - 1]
+            ? Math.max(best[previousRow + j - 1], matched[previousRow + j - 1] + CONSECUTIVE) + bonuses[j]
+            : NONE;
+        best[row + j] = Math.max(matched[row + j], best[row + j - 1] - GAP, best[previousRow + j] - MISSING);
+      }
+    }
+
+    const score = best[n * width + m];
+    if (score === NONE || score < -MISSING * misses) return null;
+
+    // Walk back through the tables to find which characters made the best score.
+    const indices = [];
+    let i = n;
+    let j = m;
+    let inMatch = false;
+    while (i > 0 && j > 0) {
+      const cell = i * width + j;
+      const previousCell = cell - width - 1;
+      if (inMatch || matched[cell] === best[cell]) {
+        indices.push(j - 1);
+        inMatch = matched[previousCell] + CONSECUTIVE + bonuses[j] === matched[cell];
+        i--;
+        j--;
+      } else if (best[cell] === best[cell - 1] - GAP) {
+        j--;
+      } else {
+        i--;
+      }
+    }
+    if (n - indices.length > misses) return null;
+    return { score, indices: indices.reverse() };
+  };
+}
+
+export function fuzzyMatch(pattern, text) {
+  return createFuzzyMatcher(pattern)(text);
+}
+
+// Splits text into { text, highlighted } runs for the matched indices, for rendering with <mark>.
+export function highlightRuns(text, indices) {
+  const marked = new Set(indices);
+  const runs = [];
+  for (let i = 0; i < text.length; i++) {
+    const highlighted = marked.has(i);
+    const last = runs[runs.length - 1];
+    if (last && last.highlighted === highlighted) {
+      last.text += text[i];
+    } else {
+      runs.push({ text: text[i], highlighted });
+    }
+  }
+  return runs;
+}
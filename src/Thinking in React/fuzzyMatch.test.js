@@ -0,0 +1,44 @@
+import { allowedMisses, createFuzzyMatcher, fuzzyMatch, highlightRuns } from "./fuzzyMatch";
+
+test("characters have to appear in order, ignoring case", () => {
+  expect(fuzzyMatch("spn", "Spinach")).toEqual({ score: expect.any(Number), indices: [0, 1, 3] });
+  expect(fuzzyMatch("SPIN", "spinach").indices).toEqual([0, 1, 2, 3]);
+  expect(fuzzyMatch("nps", "Spinach")).toBeNull();
+  expect(fuzzyMatch("", "Spinach")).toEqual({ score: 0, indices: [] });
+});
+
+test("consecutive matches and word starts score higher than scattered ones", () => {
+  expect(fuzzyMatch("pea", "Peas").score).toBeGreaterThan(fuzzyMatch("pea", "Pumpkin pear").score);
+  expect(fuzzyMatch("fruit", "Dragonfruit").score).toBeLessThan(fuzzyMatch("fruit", "Fruit salad").score);
+  expect(fuzzyMatch("mint", "Pea and mint soup").indices).toEqual([8, 9, 10, 11]);
+  expect(fuzzyMatch("ds", "Dragon seed").score).toBeGreaterThan(fuzzyMatch("ds", "Dragons").score);
+});
+
+test("longer patterns may miss one character in four, below every full match", () => {
+  expect(allowedMisses("pea")).toBe(0);
+  expect(allowedMisses("spinch")).toBe(1);
+  expect(allowedMisses("dragonfrut")).toBe(2);
+
+  const typo = fuzzyMatch("spinxch", "Spinach");
+  expect(typo.indices).toEqual([0, 1, 2, 3, 5, 6]);
+  expect(typo.score).toBeLessThan(fuzzyMatch("spinch", "Spinach").score);
+  expect(typo.score).toBeLessThan(fuzzyMatch("spinch", "Spinach and ham").score);
+  expect(fuzzyMatch("spxnxch", "Spinach")).toBeNull();
+  expect(fuzzyMatch("pex", "Peas")).toBeNull();
+});
+
+test("a prepared matcher gives the same results text after text", () => {
+  const match = createFuzzyMatcher("frut");
+  const texts = ["Dragonfruit", "Fruits", "Passionfruit", "Apple", "Dragonfruit"];
+  expect(texts.map(match)).toEqual(texts.map((text) => fuzzyMatch("frut", text)));
+});
+
+test("highlightRuns splits the text at the edges of the matches", () => {
+  expect(highlightRuns("Spinach", [0, 1, 2, 3, 5, 6])).toEqual([
+    { text: "Spin", highlighted: true },
+    { text: "a", highlighted: false },
+    { text: "ch", highlighted: true },
+  ]);
+  expect(highlightRuns("Peas", [])).toEqual([{ text: "Peas", highlighted: false }]);
+  expect(highlightRuns("", [])).toEqual([]);
+});
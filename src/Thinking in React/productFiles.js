@@ -0,0 +1,176 @@
+import { formatPrice, parsePrice } from "./products";
+
+/*
+Reading and writing the catalog as CSV and JSON files, in the shape the API uses:
+  category,price,stocked,name            [{ "category": "Fruits", "price": "$1", "stocked": true, "name": "Apple" }]
+  Fruits,$1,true,Apple
+Reading is in two steps, so the columns can be checked before anything is imported: readProductFile gives the file's
+columns and rows as they are, then importRows turns the rows into products through a mapping from product fields to
+columns, and says what is wrong with each row it can't use.
+*/
+
+export const PRODUCT_FIELDS = ["category", "price", "stocked", "name"];
+
+// CSV as in RFC 4180: fields separated by commas, quoted when they hold commas, quotes or line breaks, with quotes
+// inside doubled. Lines end in \n or \r\n.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) throw Error("The CSV has a quote that is never closed");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines, such as one at the end of the file, aren't rows.
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== "");
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// The products in the API's shape, prices as text again.
+function toApiShape(product) {
+  return {
+    category: product.category,
+    price: formatPrice(product.price),
+    stocked: product.stocked,
+    name: product.name,
+  };
+}
+
+// The file contents for `products`, in order, as "csv" or "json".
+export function exportProducts(products, format) {
+  const rows = products.map(toApiShape);
+  if (format === "json") return JSON.stringify(rows, null, 2) + "\n";
+  return formatCsv([PRODUCT_FIELDS, ...rows.map((row) => PRODUCT_FIELDS.map((field) => row[field]))]);
+}
+
+// "csv" or "json", from the file name, or failing that from what the file starts with.
+export function detectFormat(fileName, text) {
+  if (/\.json$/i.test(fileName)) return "json";
+  if (/\.csv$/i.test(fileName)) return "csv";
+  return /^\s*[[{]/.test(text) ? "json" : "csv";
+}
+
+// { columns, rows }: the column names and each row's cells, in the same order. Throws for a file it can't read.
+export function readProductFile(text, format) {
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw Error("The file is not valid JSON");
+    }
+    if (!Array.isArray(data) || data.some((item) => item === null || typeof item !== "object")) {
+      throw Error("The JSON file must hold a list of products");
+    }
+    const columns = [...new Set(data.flatMap((item) => Object.keys(item)))];
+    return { columns, rows: data.map((item) => columns.map((column) => item[column])) };
+  }
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw Error("The CSV file is empty");
+  return { columns: header.map((column) => column.trim()), rows };
+}
+
+// Other names a column might go by.
+const COLUMN_ALIASES = {
+  name: ["name", "product", "title", "item"],
+  category: ["category", "type", "group", "department"],
+  price: ["price", "cost", "amount"],
+  stocked: ["stocked", "in stock", "instock", "in_stock", "available", "stock"],
+};
+
+// The column for each product field, by index into `columns`, or null where none looks right.
+export function guessColumnMapping(columns) {
+  const names = columns.map((column) => column.toLowerCase());
+  const mapping = {};
+  PRODUCT_FIELDS.forEach((field) => {
+    const index = names.findIndex((name) => COLUMN_ALIASES[field].includes(name));
+    mapping[field] = index === -1 ? null : index;
+  });
+  return mapping;
+}
+
+const STOCKED_VALUES = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+/*
+The products in `rows`, with the columns given by `mapping` (as from guessColumnMapping): one
+{ row, product, errors } per row, where row is its number counting the header as row 1 and errors lists what is wrong
+with it; product is null when there is anything. Without a column for stocked, every product is in stock.
+*/
+export function importRows(rows, mapping) {
+  const missing = PRODUCT_FIELDS.filter((field) => field !== "stocked" && mapping[field] === null);
+  const seen = new Map();
+  return rows.map((cells, i) => {
+    const row = i + 2;
+    const errors = missing.map((field) => "No column for " + field);
+    const cell = (field) => (mapping[field] === null ? undefined : cells[mapping[field]]);
+    const text = (field) => String(cell(field) ?? "").trim();
+
+    const name = text("name");
+    const category = text("category");
+    if (mapping.name !== null && name === "") errors.push("Missing name");
+    if (mapping.category !== null && category === "") errors.push("Missing category");
+
+    let price = null;
+    if (mapping.price !== null) {
+      try {
+        price = parsePrice(cell("price") ?? "");
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    let stocked = true;
+    if (mapping.stocked !== null) {
+      const value = cell("stocked");
+      stocked = typeof value === "boolean" ? value : STOCKED_VALUES[text("stocked").toLowerCase()];
+      if (stocked === undefined) errors.push("stocked must be true or false, got \"" + text("stocked") + "\"");
+    }
+
+    if (name !== "") {
+      const key = name.toLowerCase();
+      // Only a row that imports claims its name, so a broken row doesn't keep a good one of the same name out.
+      if (seen.has(key)) {
+        errors.push("Same name as row " + seen.get(key));
+      } else if (errors.length === 0) {
+        seen.set(key, row);
+      }
+    }
+    return { row, product: errors.length === 0 ? { category, price, stocked, name } : null, errors };
+  });
+}
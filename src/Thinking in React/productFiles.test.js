@@ -0,0 +1,161 @@
+import {
+  detectFormat,
+  exportProducts,
+  formatCsv,
+  guessColumnMapping,
+  importRows,
+  parseCsv,
+  readProductFile,
+} from "./productFiles";
+
+const PRODUCTS = [
+  { category: "Fruits", price: 1, stocked: true, name: "Apple" },
+  { category: "Fruits", price: 2.5, stocked: false, name: 'Passionfruit, "extra" ripe' },
+  { category: "Frozen food", price: 1299.99, stocked: true, name: "Pea and\nmint soup" },
+];
+
+// Reads a file and imports its rows the way the import dialog does with the columns it guesses.
+function importFile(text, format) {
+  const { columns, rows } = readProductFile(text, format);
+  return importRows(rows, guessColumnMapping(columns));
+}
+
+describe("parseCsv", () => {
+  test("splits rows and fields", () => {
+    expect(parseCsv("name,price\nApple,$1\nPeas,$2\n")).toEqual([
+      ["name", "price"],
+      ["Apple", "$1"],
+      ["Peas", "$2"],
+    ]);
+  });
+
+  test("keeps commas and line breaks inside quoted fields", () => {
+    expect(parseCsv('name,note\n"Apple, red","crisp\nand sweet"\n')).toEqual([
+      ["name", "note"],
+      ["Apple, red", "crisp\nand sweet"],
+    ]);
+  });
+
+  test("reads doubled quotes inside quoted fields as one quote", () => {
+    expect(parseCsv('"The ""best"" apple",""\n')).toEqual([['The "best" apple', ""]]);
+  });
+
+  test("accepts CRLF line endings, also inside quoted fields", () => {
+    expect(parseCsv('name,price\r\nApple,$1\r\n"Pea\r\nsoup",$2\r\n')).toEqual([
+      ["name", "price"],
+      ["Apple", "$1"],
+      ["Pea\r\nsoup", "$2"],
+    ]);
+  });
+
+  test("skips blank lines, and needs no line break after the last row", () => {
+    expect(parseCsv("name\nApple\n\nPeas\n\n\r\n")).toEqual([["name"], ["Apple"], ["Peas"]]);
+    expect(parseCsv("name\nApple")).toEqual([["name"], ["Apple"]]);
+    expect(parseCsv("a,\n")).toEqual([["a", ""]]);
+    expect(parseCsv("")).toEqual([]);
+  });
+
+  test("throws for a quote that is never closed", () => {
+    expect(() => parseCsv('name\n"Apple\n')).toThrow("The CSV has a quote that is never closed");
+  });
+
+  test("reads back what formatCsv writes", () => {
+    const rows = [
+      ["plain", "with, comma", 'with "quotes"'],
+      ["with\nline break", " padded ", ""],
+    ];
+    expect(parseCsv(formatCsv(rows))).toEqual(rows);
+  });
+});
+
+describe("importRows", () => {
+  test("turns rows into products, reading prices and stocked values", () => {
+    const results = importFile("Product,Cost,In stock,Type\nApple,$1,yes,Fruits\nPeas,\"$1,200.50\",0,Veg\n", "csv");
+    expect(results).toEqual([
+      { row: 2, product: { category: "Fruits", price: 1, stocked: true, name: "Apple" }, errors: [] },
+      { row: 3, product: { category: "Veg", price: 1200.5, stocked: false, name: "Peas" }, errors: [] },
+    ]);
+  });
+
+  test("counts every product as in stock without a stocked column", () => {
+    expect(importFile("name,category,price\nApple,Fruits,1\n", "csv")[0].product.stocked).toBe(true);
+  });
+
+  test("reports a missing name or category", () => {
+    const [result] = importFile("name,category,price\n  ,,$1\n", "csv");
+    expect(result).toEqual({ row: 2, product: null, errors: ["Missing name", "Missing category"] });
+  });
+
+  test("reports a price that isn't a number", () => {
+    const [result] = importFile("name,category,price\nApple,Fruits,cheap\n", "csv");
+    expect(result.product).toBeNull();
+    expect(result.errors).toEqual(['Unparseable price: "cheap"']);
+  });
+
+  test("reports stocked values it doesn't know and names used twice", () => {
+    const file = "name,category,price,stocked\nApple,Fruits,1,maybe\nPeas,Veg,1,y\npeas,Fruits,2,n\n";
+    const results = importFile(file, "csv");
+    expect(results.map((result) => result.errors)).toEqual([
+      ['stocked must be true or false, got "maybe"'],
+      [],
+      ["Same name as row 3"],
+    ]);
+  });
+
+  test("a row with errors doesn't keep a later row of the same name out", () => {
+    const results = importFile("name,category,price\nApple,Fruits,cheap\napple,Fruits,1\nAPPLE,Fruits,2\n", "csv");
+    expect(results.map((result) => result.errors)).toEqual([['Unparseable price: "cheap"'], [], ["Same name as row 3"]]);
+    expect(results[1].product).toEqual({ category: "Fruits", price: 1, stocked: true, name: "apple" });
+  });
+
+  test("reports columns it has no mapping for on every row", () => {
+    const { columns, rows } = readProductFile("name,price\nApple,1\n", "csv");
+    expect(guessColumnMapping(columns)).toEqual({ category: null, price: 1, stocked: null, name: 0 });
+    expect(importRows(rows, guessColumnMapping(columns))[0].errors).toEqual(["No column for category"]);
+  });
+});
+
+describe("readProductFile", () => {
+  test("takes the columns of a JSON file from every product in it", () => {
+    expect(readProductFile('[{ "name": "Apple" }, { "price": 1, "name": "Peas" }]', "json")).toEqual({
+      columns: ["name", "price"],
+      rows: [
+        ["Apple", undefined],
+        ["Peas", 1],
+      ],
+    });
+  });
+
+  test.each([
+    ["{", "json", "The file is not valid JSON"],
+    ['{ "name": "Apple" }', "json", "The JSON file must hold a list of products"],
+    ["[1, 2]", "json", "The JSON file must hold a list of products"],
+    ["\n\n", "csv", "The CSV file is empty"],
+  ])("%s as %s fails with: %s", (text, format, message) => {
+    expect(() => readProductFile(text, format)).toThrow(message);
+  });
+});
+
+test("detectFormat goes by the file name, then the contents", () => {
+  expect(detectFormat("catalog.JSON", "name,price")).toBe("json");
+  expect(detectFormat("catalog.csv", "[]")).toBe("csv");
+  expect(detectFormat("catalog.txt", '  [{ "name": "Apple" }]')).toBe("json");
+  expect(detectFormat("catalog", "name,price")).toBe("csv");
+});
+
+describe("round trip", () => {
+  test.each(["json", "csv"])("exported %s imports as the same products", (format) => {
+    const file = exportProducts(PRODUCTS, format);
+    const results = importFile(file, detectFormat("products." + format, file));
+    expect(results.map((result) => result.errors)).toEqual([[], [], []]);
+    expect(results.map((result) => result.product)).toEqual(PRODUCTS);
+  });
+
+  test("exports in the API's shape, prices as text", () => {
+    expect(JSON.parse(exportProducts(PRODUCTS.slice(0, 2), "json"))).toEqual([
+      { category: "Fruits", price: "$1", stocked: true, name: "Apple" },
+      { category: "Fruits", price: "$2.50", stocked: false, name: 'Passionfruit, "extra" ripe' },
+    ]);
+    expect(exportProducts(PRODUCTS.slice(0, 1), "csv")).toBe("category,price,stocked,name\r\nFruits,$1,true,Apple\r\n");
+  });
+});
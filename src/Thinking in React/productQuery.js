@@ -0,0 +1,326 @@
+import { createFuzzyMatcher } from "./fuzzyMatch";
+
+/*
+The search box query language.
+
+  category:Fruits price<2 stocked:true "dragon"
+
+- A bare word matches products whose name or category fuzzily matches it (see fuzzyMatch.js), so typos like
+  "spinch" still find Spinach. A "quoted phrase" matches names that contain exactly that, ignoring case.
+- field:value matches one field: name:apple (contains), category:Fruits (whole category, ignoring case; quote
+  categories with spaces, category:"Frozen food"), stocked:true or stocked:false.
+- price takes a comparison: price:2 or price=2, price<2, price<=2, price>2, price>=2.
+- Terms next to each other must all match (AND is optional). OR matches either side; AND binds tighter than OR.
+- -term or NOT term matches products the term doesn't. Parentheses group: (category:Fruits OR price<2) -apple,
+  and -(...) or NOT (...) negates a whole group.
+AND, OR and NOT are only keywords in capitals, so "or" on its own is just a word to look for.
+
+parseQuery turns the text into a tree of nodes:
+  { type: "and" | "or", terms: [...] }, { type: "not", term }, { type: "text", value, quoted },
+  { type: "field", field, op, value }
+and throws an Error saying what is wrong and where for text it can't read. scoreQuery tests a product against it and
+says how well it matched.
+*/
+
+export const QUERY_FIELDS = ["name", "category", "price", "stocked"];
+
+const TERM_PATTERN = /^([A-Za-z]+)(<=|>=|:|<|>|=)(.*)$/s;
+
+function queryError(message, position) {
+  return Error(message + " (at character " + (position + 1) + ")");
+}
+
+function unquote(text, position) {
+  if (!text.startsWith('"')) return text;
+  if (text.length < 2 || !text.endsWith('"')) throw queryError("Missing closing quote", position);
+  return text.slice(1, -1);
+}
+
+// Splits the text into parentheses and words. A word runs to the next space or parenthesis, except inside quotes,
+// so category:"Frozen food" stays one word.
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else {
+      const start = i;
+      let inQuotes = false;
+      while (i < text.length && (inQuotes || !/[\s()]/.test(text[i]))) {
+        if (text[i] === '"') inQuotes = !inQuotes;
+        i++;
+      }
+      if (inQuotes) throw queryError("Missing closing quote", start);
+      tokens.push({ type: "word", value: text.slice(start, i), position: start });
+    }
+  }
+  return tokens;
+}
+
+function parseTerm(word, position) {
+  const match = word.match(TERM_PATTERN);
+  if (!match || word.startsWith('"')) {
+    const quoted = word.startsWith('"');
+    return { type: "text", value: unquote(word, position).toLowerCase(), quoted };
+  }
+  const [, rawField, op, rawValue] = match;
+  const field = rawField.toLowerCase();
+  if (!QUERY_FIELDS.includes(field)) {
+    throw queryError(
+      "Unknown field \"" + rawField + "\"; use " + QUERY_FIELDS.join(", "),
+      position
+    );
+  }
+  const value = unquote(rawValue, position + rawField.length + op.length);
+  if (value === "") throw queryError(field + op + " needs a value", position);
+
+  if (field === "price") {
+    const price = Number(value.replace(/^\$/, ""));
+    if (value.trim() === "" || Number.isNaN(price)) {
+      throw queryError("price needs a number, got \"" + value + "\"", position);
+    }
+    return { type: "field", field, op: op === ":" ? "=" : op, value: price };
+  }
+  if (op !== ":") {
+    throw queryError(field + " only takes \":\", like " + field + ":value", position);
+  }
+  if (field === "stocked") {
+    const stocked = { true: true, yes: true, false: false, no: false }[value.toLowerCase()];
+    if (stocked === undefined) {
+      throw queryError("stocked must be true or false, got \"" + value + "\"", position);
+    }
+    return { type: "field", field, op, value: stocked };
+  }
+  return { type: "field", field, op, value: value.toLowerCase() };
+}
+
+export function parseQuery(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isKeyword = (token, keyword) => token?.type === "word" && token.value === keyword;
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isKeyword(peek(), "OR")) {
+      const { position } = tokens[index++];
+      if (!peek() || peek().type === ")" || isKeyword(peek(), "OR")) {
+        throw queryError("OR needs a search term after it", position);
+      }
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: "or", terms };
+  }
+
+  function parseAnd() {
+    const terms = [];
+    while (peek() && peek().type !== ")" && !isKeyword(peek(), "OR")) {
+      if (isKeyword(peek(), "AND")) {
+        const { position } = tokens[index++];
+        if (terms.length === 0 || !peek() || peek().type === ")" || isKeyword(peek(), "OR")) {
+          throw queryError("AND needs a search term on both sides", position);
+        }
+      }
+      terms.push(parseUnary());
+    }
+    if (terms.length === 0) {
+      const token = peek();
+      if (isKeyword(token, "OR")) throw queryError("OR needs a search term before it", token.position);
+      throw queryError("Expected a search term", token ? token.position : text.length);
+    }
+    return terms.length === 1 ? terms[0] : { type: "and", terms };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (isKeyword(token, "NOT")) {
+      index++;
+      if (!peek() || peek().type === ")") throw queryError("NOT needs a search term after it", token.position);
+      return { type: "not", term: parseUnary() };
+    }
+    if (token.type === "word" && token.value.startsWith("-") && token.value.length > 1) {
+      index++;
+      return { type: "not", term: parseTerm(token.value.slice(1), token.position + 1) };
+    }
+    if (token.type === "word" && token.value === "-") {
+      index++;
+      // -(...) negates the whole group; the "-" has to be right up against what it negates.
+      if (peek()?.type !== "(" || peek().position !== token.position + 1) {
+        throw queryError("- needs a search term or group right after it, like -apple", token.position);
+      }
+      return { type: "not", term: parsePrimary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (token.type === "(") {
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw queryError("Missing \")\"", token.position);
+      index++;
+      return inner;
+    }
+    return parseTerm(token.value, token.position);
+  }
+
+  if (tokens.length === 0) return null;
+  const query = parseOr();
+  if (index < tokens.length) {
+    throw queryError("Unexpected \")\"", tokens[index].position);
+  }
+  return query;
+}
+
+function matchesField({ field, op, value }, product) {
+  switch (field) {
+    case "name":
+      return product.name.toLowerCase().includes(value);
+    case "category":
+      return product.category.toLowerCase() === value;
+    case "stocked":
+      return product.stocked === value;
+    case "price":
+      switch (op) {
+        case "<":
+          return product.price < value;
+        case "<=":
+          return product.price <= value;
+        case ">":
+          return product.price > value;
+        case ">=":
+          return product.price >= value;
+        default:
+          return product.price === value;
+      }
+    default:
+      throw Error("Unknown field: " + field);
+  }
+}
+
+// Quoted phrases score like a run of consecutive fuzzy matches, and a match on the category counts for less than
+// one on the name.
+const PHRASE_SCORE_PER_CHAR = 28;
+const CATEGORY_WEIGHT = 0.5;
+
+// Each fuzzy term gets its matcher made once, the first time it is needed. A catalog has few categories and many
+// products in each, so what the term makes of each category is remembered as well.
+const matchers = new WeakMap();
+function matcherFor(term) {
+  if (!matchers.has(term)) {
+    const match = createFuzzyMatcher(term.value);
+    const categoryMatches = new Map();
+    matchers.set(term, {
+      matchName: match,
+      matchCategory(category) {
+        if (!categoryMatches.has(category)) categoryMatches.set(category, match(category));
+        return categoryMatches.get(category);
+      },
+    });
+  }
+  return matchers.get(term);
+}
+
+function scoreText(term, product) {
+  if (term.quoted) {
+    const start = product.name.toLowerCase().indexOf(term.value);
+    if (start === -1) return null;
+    return {
+      score: term.value.length * PHRASE_SCORE_PER_CHAR,
+      nameIndices: Array.from(term.value, (_, i) => start + i),
+    };
+  }
+  const { matchName, matchCategory } = matcherFor(term);
+  const nameMatch = matchName(product.name);
+  const categoryMatch = matchCategory(product.category);
+  if (!nameMatch && !categoryMatch) return null;
+  return {
+    score: Math.max(nameMatch?.score ?? -Infinity, (categoryMatch?.score ?? -Infinity) * CATEGORY_WEIGHT),
+    nameIndices: nameMatch ? nameMatch.indices : [],
+  };
+}
+
+/*
+Tests a product against a parsed query. Returns null when it doesn't match, otherwise { score, nameIndices }: how
+relevant the product is (higher is better, 0 when there is no text to rank by) and which characters of its name
+matched, for highlighting. An empty (null) query matches everything.
+*/
+export function scoreQuery(query, product) {
+  if (query === null) return { score: 0, nameIndices: [] };
+  switch (query.type) {
+    case "and": {
+      let score = 0;
+      const nameIndices = [];
+      for (const term of query.terms) {
+        const result = scoreQuery(term, product);
+        if (!result) return null;
+        score += result.score;
+        nameIndices.push(...result.nameIndices);
+      }
+      return { score, nameIndices };
+    }
+    case "or": {
+      let best = null;
+      query.terms.forEach((term) => {
+        const result = scoreQuery(term, product);
+        if (result && (!best || result.score > best.score)) best = result;
+      });
+      return best;
+    }
+    case "not":
+      return scoreQuery(query.term, product) ? null : { score: 0, nameIndices: [] };
+    case "text":
+      return scoreText(query, product);
+    case "field":
+      return matchesField(query, product) ? { score: 0, nameIndices: [] } : null;
+    default:
+      throw Error("Unknown query node: " + query.type);
+  }
+}
+
+// Whether the query has any text to rank by; without it every match is as good as any other.
+export function isRankedQuery(query) {
+  if (query === null) return false;
+  switch (query.type) {
+    case "and":
+    case "or":
+      return query.terms.some(isRankedQuery);
+    case "text":
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Completions for the word being typed at the end of `text`: field names, then the values that field can take,
+// with categories taken from `products`. Each suggestion is the full text with that word completed.
+export function suggestCompletions(text, products) {
+  const wordStart = text.search(/[^\s()-]*$/);
+  const before = text.slice(0, wordStart);
+  const word = text.slice(wordStart);
+  if (word === "") return [];
+
+  const fieldMatch = word.match(/^([A-Za-z]+)(:|<=|>=|<|>|=)(.*)$/);
+  if (!fieldMatch) {
+    return QUERY_FIELDS.filter((field) => field.startsWith(word.toLowerCase()) && field !== word)
+      .map((field) => before + field + (field === "price" ? "" : ":"));
+  }
+
+  const [, field, op, partial] = fieldMatch;
+  let values = [];
+  if (field.toLowerCase() === "category" && op === ":") {
+    values = [...new Set(products.map((product) => product.category))].sort();
+  } else if (field.toLowerCase() === "stocked" && op === ":") {
+    values = ["true", "false"];
+  }
+  const typed = partial.replace(/^"/, "").toLowerCase();
+  return values
+    .filter((value) => value.toLowerCase().startsWith(typed) && value.toLowerCase() !== typed)
+    .map((value) => before + field + op + (/\s/.test(value) ? '"' + value + '"' : value) + " ");
+}
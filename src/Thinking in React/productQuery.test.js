@@ -0,0 +1,152 @@
+import { isRankedQuery, parseQuery, scoreQuery } from "./productQuery";
+
+const PRODUCTS = [
+  { category: "Fruits", price: 1, stocked: true, name: "Apple" },
+  { category: "Fruits", price: 1, stocked: true, name: "Dragonfruit" },
+  { category: "Fruits", price: 2, stocked: false, name: "Passionfruit" },
+  { category: "Vegetables", price: 2, stocked: true, name: "Spinach" },
+  { category: "Vegetables", price: 4, stocked: false, name: "Pumpkin" },
+  { category: "Vegetables", price: 1, stocked: true, name: "Peas" },
+  { category: "Frozen food", price: 3, stocked: true, name: "Pea and mint soup" },
+];
+
+// The names of the products the query matches, in catalog order.
+function search(text) {
+  const query = parseQuery(text);
+  return PRODUCTS.filter((product) => scoreQuery(query, product)).map((product) => product.name);
+}
+
+describe("parseQuery", () => {
+  test("an empty query is null and matches everything", () => {
+    expect(parseQuery("   ")).toBeNull();
+    expect(search("")).toHaveLength(PRODUCTS.length);
+  });
+
+  test("AND binds tighter than OR, and terms next to each other are ANDed", () => {
+    const tree = {
+      type: "or",
+      terms: [
+        { type: "text", value: "apple", quoted: false },
+        {
+          type: "and",
+          terms: [
+            { type: "field", field: "category", op: ":", value: "vegetables" },
+            { type: "field", field: "price", op: ">", value: 1 },
+          ],
+        },
+      ],
+    };
+    expect(parseQuery("apple OR category:Vegetables AND price>1")).toEqual(tree);
+    expect(parseQuery("apple OR category:Vegetables price>1")).toEqual(tree);
+    expect(search("apple OR category:Vegetables price>1")).toEqual(["Apple", "Spinach", "Pumpkin"]);
+  });
+
+  test("parentheses group", () => {
+    expect(search("(apple OR category:Vegetables) price>1")).toEqual(["Spinach", "Pumpkin"]);
+    expect(search("stocked:true (price:2 OR price>=3)")).toEqual(["Spinach", "Pea and mint soup"]);
+  });
+
+  test("lower case and, or and not are words to look for", () => {
+    expect(parseQuery("apple or pear")).toEqual({
+      type: "and",
+      terms: ["apple", "or", "pear"].map((value) => ({ type: "text", value, quoted: false })),
+    });
+  });
+
+  test("quoted phrases match names containing exactly that, ignoring case", () => {
+    expect(parseQuery('"Pea and"')).toEqual({ type: "text", value: "pea and", quoted: true });
+    expect(search('"pea and"')).toEqual(["Pea and mint soup"]);
+    expect(search('"pea"')).toEqual(["Peas", "Pea and mint soup"]);
+    expect(search('"pean"')).toEqual([]);
+  });
+
+  test("field prefixes", () => {
+    expect(search("name:fruit")).toEqual(["Dragonfruit", "Passionfruit"]);
+    expect(search("NAME:fruit")).toEqual(["Dragonfruit", "Passionfruit"]);
+    expect(search("category:fruit")).toEqual([]);
+    expect(search('category:"frozen food"')).toEqual(["Pea and mint soup"]);
+    expect(search("stocked:false")).toEqual(["Passionfruit", "Pumpkin"]);
+    expect(search("stocked:yes price<=1")).toEqual(["Apple", "Dragonfruit", "Peas"]);
+    expect(search("price:$4")).toEqual(["Pumpkin"]);
+    expect(search("price=2")).toEqual(["Passionfruit", "Spinach"]);
+    expect(search("price<2")).toEqual(["Apple", "Dragonfruit", "Peas"]);
+    expect(search("price>=3")).toEqual(["Pumpkin", "Pea and mint soup"]);
+  });
+
+  test("negation", () => {
+    expect(search("category:Fruits -apple")).toEqual(["Dragonfruit", "Passionfruit"]);
+    expect(search("category:Fruits NOT apple")).toEqual(["Dragonfruit", "Passionfruit"]);
+    expect(search("-stocked:true")).toEqual(["Passionfruit", "Pumpkin"]);
+    expect(search("NOT NOT stocked:false")).toEqual(["Passionfruit", "Pumpkin"]);
+    expect(search('-"pea"')).toEqual(["Apple", "Dragonfruit", "Passionfruit", "Spinach", "Pumpkin"]);
+  });
+
+  test("negating a group", () => {
+    const group = {
+      type: "or",
+      terms: [
+        { type: "field", field: "category", op: ":", value: "fruits" },
+        { type: "field", field: "price", op: ">", value: 2 },
+      ],
+    };
+    expect(parseQuery("-(category:Fruits OR price>2)")).toEqual({ type: "not", term: group });
+    expect(parseQuery("NOT (category:Fruits OR price>2)")).toEqual({ type: "not", term: group });
+    expect(search("-(category:Fruits OR price>2)")).toEqual(["Spinach", "Peas"]);
+    expect(search("stocked:true -(price:1)")).toEqual(["Spinach", "Pea and mint soup"]);
+  });
+
+  test.each([
+    ['"dragon', "Missing closing quote (at character 1)"],
+    ['name:"dragon', "Missing closing quote (at character 1)"],
+    ["colour:red", 'Unknown field "colour"; use name, category, price, stocked (at character 1)'],
+    ["apple name:", "name: needs a value (at character 7)"],
+    ["price<cheap", 'price needs a number, got "cheap" (at character 1)'],
+    ["category<2", 'category only takes ":", like category:value (at character 1)'],
+    ["stocked:maybe", 'stocked must be true or false, got "maybe" (at character 1)'],
+    ["apple OR", "OR needs a search term after it (at character 7)"],
+    ["OR apple", "OR needs a search term before it (at character 1)"],
+    ["AND apple", "AND needs a search term on both sides (at character 1)"],
+    ["apple AND", "AND needs a search term on both sides (at character 7)"],
+    ["apple NOT", "NOT needs a search term after it (at character 7)"],
+    ["()", "Expected a search term (at character 2)"],
+    ["(apple", 'Missing ")" (at character 1)'],
+    ["apple)", 'Unexpected ")" (at character 6)'],
+    ["- apple", "- needs a search term or group right after it, like -apple (at character 1)"],
+    ["apple -", "- needs a search term or group right after it, like -apple (at character 7)"],
+  ])("%s fails with: %s", (text, message) => {
+    expect(() => parseQuery(text)).toThrow(message);
+  });
+});
+
+describe("scoreQuery", () => {
+  test("ranks closer fuzzy matches higher and reports the matched characters", () => {
+    const query = parseQuery("spinch");
+    const spinach = scoreQuery(query, PRODUCTS[3]);
+    expect(spinach.nameIndices).toEqual([0, 1, 2, 3, 5, 6]);
+    expect(scoreQuery(query, PRODUCTS[0])).toBeNull();
+
+    const pas = parseQuery("pas");
+    expect(scoreQuery(pas, PRODUCTS[2]).score).toBeGreaterThan(scoreQuery(pas, PRODUCTS[5]).score);
+  });
+
+  test("a match on the category counts for less than one on the name", () => {
+    const query = parseQuery("fruit");
+    const byName = scoreQuery(query, PRODUCTS[1]);
+    const byCategory = scoreQuery(query, PRODUCTS[0]);
+    expect(byCategory.nameIndices).toEqual([]);
+    expect(byName.score).toBeGreaterThan(byCategory.score);
+  });
+
+  test("AND adds up the scores and OR takes the best", () => {
+    const apple = scoreQuery(parseQuery("apple"), PRODUCTS[0]).score;
+    expect(scoreQuery(parseQuery("apple price:1"), PRODUCTS[0]).score).toBe(apple);
+    expect(scoreQuery(parseQuery("apple OR zzz"), PRODUCTS[0]).score).toBe(apple);
+  });
+});
+
+test("isRankedQuery is true only when there is text to rank by", () => {
+  expect(isRankedQuery(null)).toBe(false);
+  expect(isRankedQuery(parseQuery("price<2 stocked:true"))).toBe(false);
+  expect(isRankedQuery(parseQuery("-apple"))).toBe(false);
+  expect(isRankedQuery(parseQuery("price<2 OR apple"))).toBe(true);
+});
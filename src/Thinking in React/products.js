@@ -0,0 +1,104 @@
+// Working with the product data: prices come from the API as text like "$1", but sorting and totals need numbers.
+
+const PRICE_PATTERN = /^\$?\s*(\d{1,3}(?:,\d{3})*|\d+)(\.\d+)?$/;
+
+// "$1" -> 1, "$1,299.50" -> 1299.5. Throws for anything that isn't a price.
+export function parsePrice(text) {
+  if (typeof text === "number") return text;
+  const match = String(text).trim().match(PRICE_PATTERN);
+  if (!match) throw Error("Unparseable price: \"" + text + "\"");
+  return Number(match[1].replace(/,/g, "") + (match[2] ?? ""));
+}
+
+// Whole dollars stay as they came in ("$2"), anything else gets cents ("$2.50").
+export function formatPrice(price) {
+  return "$" + (Number.isInteger(price) ? String(price) : price.toFixed(2));
+}
+
+// The catalog with every price as a number.
+export function parseProducts(products) {
+  return products.map((product) => ({ ...product, price: parsePrice(product.price) }));
+}
+
+/*
+Sorting. A sort order is a list of keys, most important first, e.g.
+  [{ key: "price", direction: "desc" }, { key: "name", direction: "asc" }]
+Clicking a header sorts by that column alone (or flips it if it already is the only key); shift-clicking adds it as
+the next key (or flips it if it is already one of them).
+*/
+export const SORT_KEYS = ["name", "price"];
+
+const COMPARE = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  price: (a, b) => a.price - b.price,
+};
+
+export function compareProducts(a, b, sortOrder) {
+  for (const { key, direction } of sortOrder) {
+    const result = COMPARE[key](a, b);
+    if (result !== 0) return direction === "desc" ? -result : result;
+  }
+  return 0;
+}
+
+// ProductTable sorts the rows of each category group separately, so the groups stay together.
+export function sortProducts(products, sortOrder) {
+  return products.slice().sort((a, b) => compareProducts(a, b, sortOrder));
+}
+
+export function nextSortOrder(sortOrder, key, addKey) {
+  const index = sortOrder.findIndex((sort) => sort.key === key);
+  const flipped = (sort) => ({ ...sort, direction: sort.direction === "asc" ? "desc" : "asc" });
+  if (addKey) {
+    if (index === -1) return [...sortOrder, { key, direction: "asc" }];
+    return sortOrder.map((sort, i) => (i === index ? flipped(sort) : sort));
+  }
+  if (sortOrder.length === 1 && index === 0) return [flipped(sortOrder[0])];
+  return [{ key, direction: "asc" }];
+}
+
+/*
+Grouping. Products are grouped by category whatever order they come in, and the groups are in alphabetical order.
+Each group is { category, products, summary } with the summary of summarizeProducts.
+*/
+export function groupProducts(products) {
+  const groups = new Map();
+  products.forEach((product) => {
+    if (!groups.has(product.category)) groups.set(product.category, []);
+    groups.get(product.category).push(product);
+  });
+  return [...groups.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map((category) => {
+      const categoryProducts = groups.get(category);
+      return { category, products: categoryProducts, summary: summarizeProducts(categoryProducts) };
+    });
+}
+
+// { count, inStock, minPrice, maxPrice }; the prices are null when there are no products.
+export function summarizeProducts(products) {
+  const summary = { count: products.length, inStock: 0, minPrice: null, maxPrice: null };
+  products.forEach(({ price, stocked }) => {
+    if (stocked) summary.inStock++;
+    if (summary.minPrice === null || price < summary.minPrice) summary.minPrice = price;
+    if (summary.maxPrice === null || price > summary.maxPrice) summary.maxPrice = price;
+  });
+  return summary;
+}
+
+// "$1", or "$1–$4" for a range.
+export function formatPriceRange(minPrice, maxPrice) {
+  if (minPrice === null) return "";
+  if (minPrice === maxPrice) return formatPrice(minPrice);
+  return formatPrice(minPrice) + "–" + formatPrice(maxPrice);
+}
+
+// Products are told apart by name, ignoring case and the spaces around it: "Apple " and "apple" are the same product.
+export function nameKey(name) {
+  return name.trim().toLowerCase();
+}
+
+// "1 item", "2 items".
+export function plural(count, word) {
+  return count + " " + (count === 1 ? word : word + "s");
+}
@@ -0,0 +1,102 @@
+import { useEffect, useState } from "react";
+import bundledCatalog from "./catalog.json";
+import { parseProducts } from "./products";
+
+// Loads the product catalog from the JSON API (server/catalog.js when working offline). Without
+// REACT_APP_CATALOG_URL there is no API to ask, and the catalog bundled with the app is shown instead.
+
+export const CATALOG_URL = process.env.REACT_APP_CATALOG_URL || null;
+
+const BUNDLED_PRODUCTS = parseProducts(bundledCatalog);
+
+// The last catalog fetched from each URL is kept, so it can be shown straight away next time: in localStorage to
+// survive a reload, and in memory for a catalog too big for localStorage.
+const memoryCache = new Map();
+
+function cacheKey(url) {
+  return "thinking-in-react.catalog." + url;
+}
+
+function readCache(url) {
+  if (memoryCache.has(url)) return memoryCache.get(url);
+  try {
+    const cached = JSON.parse(localStorage.getItem(cacheKey(url)));
+    return cached && Array.isArray(cached.products) ? cached : null;
+  } catch {
+    // Storage that is unavailable or holds something else just means nothing is cached.
+    return null;
+  }
+}
+
+function writeCache(url, entry) {
+  memoryCache.set(url, entry);
+  try {
+    localStorage.setItem(cacheKey(url), JSON.stringify(entry));
+  } catch {
+    // A full or unavailable storage only costs the cache across reloads.
+  }
+}
+
+// What to show before the fetch from `url` answers: the cached catalog if there is one, or the bundled catalog when
+// there is no URL to fetch from.
+function initialCatalog(url) {
+  if (!url) return { products: BUNDLED_PRODUCTS, fetchedAt: null, error: null, isFetching: false };
+  return { ...(readCache(url) ?? { products: null, fetchedAt: null }), error: null, isFetching: true };
+}
+
+// The products at `url`, with prices as numbers. Throws an Error saying what went wrong for anything else.
+export async function fetchCatalog(url, { signal } = {}) {
+  let response;
+  try {
+    response = await fetch(url, { signal });
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+    throw Error("Couldn't reach the catalog at " + url);
+  }
+  if (!response.ok) {
+    const status = response.status + (response.statusText ? " " + response.statusText : "");
+    throw Error("The catalog server answered " + status);
+  }
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw Error("The catalog is not valid JSON");
+  }
+  if (!Array.isArray(data)) throw Error("The catalog is not a list of products");
+  return parseProducts(data);
+}
+
+/*
+Stale-while-revalidate: a catalog cached from an earlier visit is shown at once while a fresh copy is fetched behind
+it, and the fresh one replaces it when it arrives. Returns { products, fetchedAt, error, isFetching, retry }:
+- products is null until there is a catalog to show, fetchedAt when it was fetched.
+- error is the message of the last failed fetch, cleared when a fetch starts again; the cached products stay.
+- isFetching while a request is under way; retry starts another.
+A `url` of null gives the bundled catalog and never fetches.
+*/
+export default function useCatalog(url = CATALOG_URL) {
+  const [catalog, setCatalog] = useState(() => initialCatalog(url));
+  // Bumped by retry to run the fetch again.
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    setCatalog(initialCatalog(url));
+    if (!url) return;
+    const controller = new AbortController();
+    fetchCatalog(url, { signal: controller.signal }).then(
+      (products) => {
+        const entry = { products, fetchedAt: Date.now() };
+        writeCache(url, entry);
+        setCatalog({ ...entry, error: null, isFetching: false });
+      },
+      (error) => {
+        if (controller.signal.aborted) return;
+        setCatalog((current) => ({ ...current, error: error.message, isFetching: false }));
+      }
+    );
+    return () => controller.abort();
+  }, [url, attempt]);
+
+  return { ...catalog, retry: () => setAttempt((n) => n + 1) };
+}
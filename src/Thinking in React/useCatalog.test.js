@@ -0,0 +1,147 @@
+import { act, renderHook, waitFor } from "@testing-library/react";
+import bundledCatalog from "./catalog.json";
+import useCatalog from "./useCatalog";
+
+const API_PRODUCTS = [
+  { category: "Fruits", price: "$1", stocked: true, name: "Apple" },
+  { category: "Vegetables", price: "$1,200.50", stocked: false, name: "Peas" },
+];
+const PRODUCTS = [
+  { category: "Fruits", price: 1, stocked: true, name: "Apple" },
+  { category: "Vegetables", price: 1200.5, stocked: false, name: "Peas" },
+];
+
+// Stands in for fetch: every call waits until the test answers it with respond(), fail() or reject().
+let requests;
+
+function answer(body, { status = 200, statusText = "" } = {}) {
+  return { ok: status >= 200 && status < 300, status, statusText, json: async () => body };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  requests = [];
+  global.fetch = jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new DOMException("The request was aborted.", "AbortError")));
+        requests.push({
+          url,
+          signal,
+          respond: (body = API_PRODUCTS) => act(async () => resolve(answer(body))),
+          fail: (status, statusText) => act(async () => resolve(answer({}, { status, statusText }))),
+          reject: () => act(async () => reject(new TypeError("Failed to fetch"))),
+        });
+      })
+  );
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+// The cache is kept per URL for the whole test file, so every test fetches from a URL of its own.
+let nextUrl = 0;
+function freshUrl() {
+  nextUrl++;
+  return "http://catalog.test/products?test=" + nextUrl;
+}
+
+test("shows nothing while the first fetch is under way, then the products with their prices read", async () => {
+  const url = freshUrl();
+  const { result } = renderHook(() => useCatalog(url));
+  expect(result.current).toMatchObject({ products: null, fetchedAt: null, error: null, isFetching: true });
+  expect(requests.map((request) => request.url)).toEqual([url]);
+
+  await requests[0].respond();
+  expect(result.current).toMatchObject({ products: PRODUCTS, error: null, isFetching: false });
+  expect(result.current.fetchedAt).toEqual(expect.any(Number));
+});
+
+test.each([
+  [
+    "an error status",
+    (request) => request.fail(503, "Service Unavailable"),
+    "The catalog server answered 503 Service Unavailable",
+  ],
+  ["no answer", (request) => request.reject(), "Couldn't reach the catalog at "],
+  [
+    "something other than a list",
+    (request) => request.respond({ products: [] }),
+    "The catalog is not a list of products",
+  ],
+  [
+    "a price it can't read",
+    (request) => request.respond([{ name: "Apple", price: "cheap" }]),
+    'Unparseable price: "cheap"',
+  ],
+])("reports %s as an error", async (_, settle, message) => {
+  const url = freshUrl();
+  const { result } = renderHook(() => useCatalog(url));
+  await settle(requests[0]);
+  expect(result.current).toMatchObject({ products: null, isFetching: false });
+  expect(result.current.error).toContain(message);
+});
+
+test("retry clears the error and fetches again", async () => {
+  const url = freshUrl();
+  const { result } = renderHook(() => useCatalog(url));
+  await requests[0].fail(500);
+  expect(result.current.error).toBe("The catalog server answered 500");
+
+  act(() => result.current.retry());
+  expect(result.current).toMatchObject({ error: null, isFetching: true });
+  expect(requests).toHaveLength(2);
+
+  await requests[1].respond();
+  expect(result.current).toMatchObject({ products: PRODUCTS, error: null, isFetching: false });
+});
+
+test("shows the catalog fetched before at once, and keeps it while revalidating and when that fails", async () => {
+  const url = freshUrl();
+  const earlier = renderHook(() => useCatalog(url)).result;
+  await requests[0].respond();
+  const { fetchedAt } = earlier.current;
+
+  const { result } = renderHook(() => useCatalog(url));
+  expect(result.current).toMatchObject({ products: PRODUCTS, fetchedAt, isFetching: true });
+  await requests[1].reject();
+  expect(result.current).toMatchObject({ products: PRODUCTS, fetchedAt, isFetching: false });
+  expect(result.current.error).toMatch(/^Couldn't reach the catalog/);
+
+  act(() => result.current.retry());
+  expect(result.current).toMatchObject({ products: PRODUCTS, error: null, isFetching: true });
+  await requests[2].respond([API_PRODUCTS[0]]);
+  expect(result.current).toMatchObject({ products: [PRODUCTS[0]], error: null, isFetching: false });
+});
+
+test("the cache survives a reload through localStorage", async () => {
+  const url = freshUrl();
+  const { unmount } = renderHook(() => useCatalog(url));
+  await requests[0].respond();
+  unmount();
+  const stored = JSON.parse(localStorage.getItem("thinking-in-react.catalog." + url));
+  expect(stored).toEqual({ products: PRODUCTS, fetchedAt: expect.any(Number) });
+});
+
+test("aborts the fetch on unmount and when the URL changes, and ignores what it would have answered", async () => {
+  const url = freshUrl();
+  const { result, rerender, unmount } = renderHook((props) => useCatalog(props.url), { initialProps: { url } });
+  const other = freshUrl();
+  rerender({ url: other });
+  expect(requests[0].signal.aborted).toBe(true);
+  await requests[0].respond();
+  expect(result.current).toMatchObject({ products: null, isFetching: true });
+
+  unmount();
+  expect(requests[1].signal.aborted).toBe(true);
+});
+
+test("without a URL it shows the bundled catalog and never fetches", async () => {
+  const { result } = renderHook(() => useCatalog(null));
+  expect(result.current).toMatchObject({ fetchedAt: null, error: null, isFetching: false });
+  expect(result.current.products.map((product) => product.name)).toEqual(bundledCatalog.map((product) => product.name));
+  expect(result.current.products.every((product) => typeof product.price === "number")).toBe(true);
+  await waitFor(() => expect(result.current.isFetching).toBe(false));
+  expect(global.fetch).not.toHaveBeenCalled();
+});
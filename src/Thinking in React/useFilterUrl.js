@@ -0,0 +1,103 @@
+import { useEffect, useRef, useState } from "react";
+import { SORT_KEYS } from "./products";
+
+/*
+The table's filters live in the URL query string, so a filtered view can be bookmarked and shared:
+  ?q=dragon&inStock=1&sort=-price,name&category=Fruits&category=Vegetables&minPrice=1&maxPrice=2.5
+q is the search text, inStock=1 hides what's out of stock and sort lists the sort keys most important first, "-" for
+descending. category (once for each one ticked), minPrice and maxPrice are the facets of facets.js. Values at their
+defaults are left out, and any other parameters on the page are kept as they are.
+*/
+const TEXT_PARAM = "q";
+const IN_STOCK_PARAM = "inStock";
+const SORT_PARAM = "sort";
+const CATEGORY_PARAM = "category";
+const MIN_PRICE_PARAM = "minPrice";
+const MAX_PRICE_PARAM = "maxPrice";
+
+// Changes to one of these closer together than this, like keystrokes or a slider being dragged, are one edit and
+// share one history entry.
+const TYPING_PAUSE = 1000;
+const CONTINUOUS_FIELDS = ["filterText", "minPrice", "maxPrice"];
+
+function readPrice(text) {
+  const price = text === null || text.trim() === "" ? NaN : Number(text);
+  return Number.isFinite(price) ? price : null;
+}
+
+// { filterText, inStockOnly, sortOrder, categories, minPrice, maxPrice } from a query string. Sort keys it doesn't
+// know and prices that aren't numbers are skipped.
+export function readFilters(search) {
+  const params = new URLSearchParams(search);
+  const sortOrder = [];
+  (params.get(SORT_PARAM) ?? "").split(",").forEach((part) => {
+    const key = part.replace(/^-/, "");
+    if (SORT_KEYS.includes(key) && !sortOrder.some((sort) => sort.key === key)) {
+      sortOrder.push({ key, direction: part.startsWith("-") ? "desc" : "asc" });
+    }
+  });
+  return {
+    filterText: params.get(TEXT_PARAM) ?? "",
+    inStockOnly: params.get(IN_STOCK_PARAM) === "1",
+    sortOrder,
+    categories: params.getAll(CATEGORY_PARAM),
+    minPrice: readPrice(params.get(MIN_PRICE_PARAM)),
+    maxPrice: readPrice(params.get(MAX_PRICE_PARAM)),
+  };
+}
+
+// The query string for the filters, keeping the parameters of `search` that aren't ours.
+export function writeFilters(search, { filterText, inStockOnly, sortOrder, categories, minPrice, maxPrice }) {
+  const params = new URLSearchParams(search);
+  const set = (name, value) => (value ? params.set(name, value) : params.delete(name));
+  set(TEXT_PARAM, filterText);
+  set(IN_STOCK_PARAM, inStockOnly ? "1" : "");
+  set(SORT_PARAM, sortOrder.map(({ key, direction }) => (direction === "desc" ? "-" : "") + key).join(","));
+  params.delete(CATEGORY_PARAM);
+  categories.forEach((category) => params.append(CATEGORY_PARAM, category));
+  set(MIN_PRICE_PARAM, minPrice === null ? "" : String(minPrice));
+  set(MAX_PRICE_PARAM, maxPrice === null ? "" : String(maxPrice));
+  const query = params.toString();
+  return query ? "?" + query : "";
+}
+
+// The filters, read from the page's URL and kept in step with it. Each change is a new history entry, so back and
+// forward step through them, except that a burst of typing or sliding only makes one. Going back or forward
+// puts the filters of that entry back.
+export default function useFilterUrl() {
+  const [filters, setFilters] = useState(() => readFilters(window.location.search));
+  // The field changed last and when, to tell whether a change continues the same edit.
+  const lastChange = useRef(null);
+
+  useEffect(() => {
+    function handlePopState() {
+      lastChange.current = null;
+      setFilters(readFilters(window.location.search));
+    }
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  function changeFilters(changes) {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+
+    const search = writeFilters(window.location.search, next);
+    if (search === window.location.search) return;
+    const url = window.location.pathname + search + window.location.hash;
+    const now = Date.now();
+    const field = Object.keys(changes).join(",");
+    const isContinuing =
+      CONTINUOUS_FIELDS.includes(field) &&
+      lastChange.current?.field === field &&
+      now - lastChange.current.time < TYPING_PAUSE;
+    if (isContinuing) {
+      window.history.replaceState(window.history.state, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    lastChange.current = { field, time: now };
+  }
+
+  return [filters, changeFilters];
+}
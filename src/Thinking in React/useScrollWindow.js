@@ -0,0 +1,29 @@
+import { useRef, useState } from "react";
+
+// Rows mounted above and below the visible ones, so a quick scroll doesn't show blank space before they render.
+const OVERSCAN = 8;
+
+/*
+Windowed rendering for a scrolling list of `rowCount` rows that are all `rowHeight` pixels tall, shown in a box
+`height` pixels tall. Returns the rows to mount, from `start` up to but not including `end`, the ref and onScroll
+props for the scrolling element, and scrollTo(top) to move it. The rest of the list only needs space kept for it.
+*/
+export default function useScrollWindow({ rowCount, rowHeight, height, overscan = OVERSCAN }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const scrollerRef = useRef(null);
+  const visibleCount = Math.ceil(height / rowHeight);
+  // A list that just got shorter can be scrolled past its end until the browser catches up.
+  const first = Math.max(0, Math.min(Math.floor(scrollTop / rowHeight), rowCount - visibleCount));
+
+  function scrollTo(top) {
+    if (scrollerRef.current) scrollerRef.current.scrollTop = top;
+    setScrollTop(top);
+  }
+
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(rowCount, first + visibleCount + overscan),
+    scrollerProps: { ref: scrollerRef, onScroll: (e) => setScrollTop(e.currentTarget.scrollTop) },
+    scrollTo,
+  };
+}
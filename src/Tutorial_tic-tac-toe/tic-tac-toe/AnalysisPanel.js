@@ -0,0 +1,89 @@
+import { useMemo } from "react";
+import { formatMove, playedSquare } from "./notation";
+import { bestMoves, canSolve, describeResult, moveMistake, solve } from "./solver";
+
+const MISTAKE_LABELS = {
+  win: "?? threw away a win",
+  draw: "? threw away the draw",
+};
+const UNSOLVABLE = "Too many empty squares to solve this position exactly.";
+
+// The evaluation of `squares` and the best moves for the player to move, or just the reason there are none.
+function analysePosition(squares, rules, config) {
+  if (!canSolve(squares, rules, config)) return { evaluation: UNSOLVABLE, suggestion: null };
+  const player = rules.playerToMove(squares);
+  const evaluation = describeResult(solve(squares, rules, config), player, rules);
+  const best = bestMoves(squares, rules, config);
+  if (best.length === 0) return { evaluation, suggestion: null };
+  const suggestion =
+    "Best for " + rules.playerNames[player] + ": " +
+    best.map((move) => formatMove(move, rules, config.size)).join(" or ");
+  return { evaluation, suggestion };
+}
+
+// A verdict on every move of the line, in order.
+function judgeLine(history, line, rules, config) {
+  return line.slice(1).map((nodeId) => {
+    const node = history[nodeId];
+    const before = history[node.parentId].squares;
+    if (!canSolve(before, rules, config)) return "not analysed";
+    const mistake = moveMistake(before, node.squares, rules, config);
+    return mistake ? MISTAKE_LABELS[mistake] : "✓";
+  });
+}
+
+/*
+Perfect-play evaluation of the current position, a suggested move, and a verdict on every move of the line.
+Solving is the slow part, so it is only redone when the position or the line changes, not on every render
+(a running clock re-renders the game several times a second).
+*/
+export default function AnalysisPanel({ history, line, currentNodeId, rules, config, onJump }) {
+  const squares = history[currentNodeId].squares;
+  // The end of the line is the fullest position on it: if that can't be solved, nothing on the line can.
+  const isLineSolvable = canSolve(history[line[line.length - 1]].squares, rules, config);
+  const position = useMemo(
+    () => isLineSolvable && analysePosition(squares, rules, config),
+    [isLineSolvable, squares, rules, config]
+  );
+  const verdicts = useMemo(
+    () => isLineSolvable && judgeLine(history, line, rules, config),
+    [isLineSolvable, history, line, rules, config]
+  );
+
+  if (!isLineSolvable) {
+    return (
+      <div className="analysis-panel">
+        <h4>Analysis</h4>
+        <p>{UNSOLVABLE}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="analysis-panel">
+      <h4>Analysis</h4>
+      <p>{position.evaluation}</p>
+      {position.suggestion && <p>{position.suggestion}</p>}
+      {verdicts.length > 0 && (
+        <ol>
+          {verdicts.map((verdict, i) => {
+            const nodeId = line[i + 1];
+            const node = history[nodeId];
+            const before = history[node.parentId].squares;
+            const square = playedSquare(before, node.squares);
+            const mover = rules.playerNames[rules.playerToMove(before)];
+            return (
+              <li key={nodeId} className={nodeId === currentNodeId ? "current" : undefined}>
+                <button onClick={() => onJump(nodeId)}>
+                  #{node.move} {mover}{" "}
+                  {formatMove({ square, symbol: node.squares[square] }, rules, config.size)}
+                </button>{" "}
+                <span className={verdict.startsWith("?") ? "mistake" : undefined}>{verdict}</span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useRef, useState } from "react";
+import { boardSize } from "./gameLogic";
+
+// How a square is read out: "row 2, column 3".
+export function describeSquare(i, size) {
+  return "row " + (Math.floor(i / size) + 1) + ", column " + ((i % size) + 1);
+}
+
+function Square({ value, label, onSquareClick, onKeyDown, highlight, focusable, buttonRef }) {
+  return (
+    <button
+      ref={buttonRef}
+      role="gridcell"
+      aria-label={label}
+      tabIndex={focusable ? 0 : -1}
+      className={highlight ? "square winning" : "square"}
+      onClick={onSquareClick}
+      onKeyDown={onKeyDown}
+    >
+      {value}
+    </button>
+  );
+}
+
+// A playable grid. The game decides what may be played: Board places `mark` on any empty square it is
+// clicked on, unless it is disabled, and highlights the squares listed in `highlight`.
+// It is an ARIA grid with a roving tab stop: Tab reaches one square, the arrow keys (and Home/End within a row)
+// move between squares, and Enter or Space plays the focused one.
+export default function Board({ squares, mark, onPlay, disabled, highlight, label = "Board" }) {
+  const size = boardSize(squares);
+  const [focusedIndex, setFocusedIndex] = useState(0);
+  const squareRefs = useRef([]);
+  // The board can shrink under a remembered focus, e.g. after picking a smaller board.
+  const focused = focusedIndex < squares.length ? focusedIndex : 0;
+
+  function handleClick(i) {
+    setFocusedIndex(i);
+    if (disabled || squares[i]) return;
+    const nextSquares = squares.slice();
+    nextSquares[i] = mark;
+    onPlay(nextSquares);
+  }
+
+  function handleKeyDown(e, i) {
+    const row = Math.floor(i / size);
+    const col = i % size;
+    let next = null;
+    switch (e.key) {
+      case "ArrowUp":
+        if (row > 0) next = i - size;
+        break;
+      case "ArrowDown":
+        if (row < size - 1) next = i + size;
+        break;
+      case "ArrowLeft":
+        if (col > 0) next = i - 1;
+        break;
+      case "ArrowRight":
+        if (col < size - 1) next = i + 1;
+        break;
+      case "Home":
+        next = row * size;
+        break;
+      case "End":
+        next = row * size + size - 1;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (next === null) return;
+    setFocusedIndex(next);
+    squareRefs.current[next].focus();
+  }
+
+  const rows = [];
+  for (let row = 0; row < size; row++) {
+    const rowSquares = [];
+    for (let col = 0; col < size; col++) {
+      const i = row * size + col;
+      rowSquares.push(
+        <Square
+          key={i}
+          value={squares[i]}
+          label={describeSquare(i, size) + ", " + (squares[i] ?? "empty")}
+          onSquareClick={() => handleClick(i)}
+          onKeyDown={(e) => handleKeyDown(e, i)}
+          highlight={highlight?.includes(i)}
+          focusable={i === focused}
+          buttonRef={(button) => (squareRefs.current[i] = button)}
+        />
+      );
+    }
+    rows.push(
+      <div className="board-row" role="row" key={row}>
+        {rowSquares}
+      </div>
+    );
+  }
+
+  return (
+    <div role="grid" aria-label={label} aria-disabled={disabled || undefined}>
+      {rows}
+    </div>
+  );
+}
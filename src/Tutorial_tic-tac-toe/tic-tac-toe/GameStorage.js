@@ -0,0 +1,105 @@
+import { useState } from "react";
+import { parseGame } from "./notation";
+import { deleteSavedGame, loadSavedGames, saveGame } from "./savedGames";
+
+// Export, import and saved games for the tic-tac-toe Game. All games go in and out as notation text.
+export default function GameStorage({ notation, title, onLoad }) {
+  const [importText, setImportText] = useState("");
+  const [error, setError] = useState(null);
+  const [savedGames, setSavedGames] = useState(loadSavedGames);
+
+  function load(text) {
+    try {
+      onLoad(parseGame(text));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  // Saving and deleting write to localStorage, which can be full or turned off.
+  function updateSavedGames(update) {
+    try {
+      setSavedGames(update());
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  function handleCopy() {
+    // The clipboard is only there on secure pages, and the browser may refuse to let us write to it.
+    const failed = () => setError("Couldn't copy the game; select the text above and copy it instead.");
+    if (!navigator.clipboard) {
+      failed();
+      return;
+    }
+    navigator.clipboard.writeText(notation).then(() => setError(null), failed);
+  }
+
+  function handleDownload() {
+    const url = URL.createObjectURL(new Blob([notation], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "tic-tac-toe.ttt";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight away can cancel the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function handleFileChange(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(
+      (text) => {
+        setImportText(text);
+        load(text);
+      },
+      () => setError("Couldn't read " + file.name + ".")
+    );
+    // Reset so picking the same file again still fires a change.
+    e.target.value = "";
+  }
+
+  return (
+    <div className="game-storage">
+      <h4>Export</h4>
+      <textarea readOnly rows={6} value={notation} />
+      <div>
+        <button onClick={handleCopy}>Copy</button>
+        <button onClick={handleDownload}>Download</button>
+        <button onClick={() => updateSavedGames(() => saveGame(title, notation))}>Save game</button>
+      </div>
+
+      <h4>Import</h4>
+      <textarea
+        rows={6}
+        placeholder="Paste a game here..."
+        value={importText}
+        onChange={(e) => setImportText(e.target.value)}
+      />
+      <div>
+        <button onClick={() => load(importText)}>Load</button>
+        <input type="file" accept=".ttt,.txt,text/plain" onChange={handleFileChange} />
+      </div>
+      {error && <p className="error">{error}</p>}
+
+      <h4>Saved games</h4>
+      {savedGames.length === 0 ? (
+        <p>No saved games yet.</p>
+      ) : (
+        <ul>
+          {savedGames.map((game) => (
+            <li key={game.id}>
+              {game.title} ({new Date(game.savedAt).toLocaleString()}){" "}
+              <button onClick={() => load(game.notation)}>Resume</button>
+              <button onClick={() => updateSavedGames(() => deleteSavedGame(game.id))}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
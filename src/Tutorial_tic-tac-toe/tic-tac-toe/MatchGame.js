@@ -0,0 +1,189 @@
+import { useState } from "react";
+import { formatMove } from "./notation";
+import { loadPlayerStats, recordGameStats, summarizeStats } from "./playerStats";
+
+export const SERIES_LENGTHS = [1, 3, 5, 7];
+
+// Series state worked out from the finished games: the score, and the winner once the series is decided.
+// A player who can no longer be caught wins early; after the last game, more wins takes it, or the series is drawn.
+export function seriesStanding(results, bestOf) {
+  const score = [0, 0];
+  let draws = 0;
+  results.forEach((result) => {
+    if (result.winner === null) draws++;
+    else score[result.winner]++;
+  });
+  const remaining = bestOf - results.length;
+  let winner = null;
+  let isOver = false;
+  if (score[0] > score[1] + remaining) {
+    winner = 0;
+  } else if (score[1] > score[0] + remaining) {
+    winner = 1;
+  }
+  if (winner !== null || remaining <= 0) isOver = true;
+  return { score, draws, winner, isOver };
+}
+
+// The starting player alternates: player 1 plays X (and moves first) in games 1, 3, 5...
+export function playersForGame(names, gameIndex) {
+  return gameIndex % 2 === 0 ? { X: names[0], O: names[1] } : { X: names[1], O: names[0] };
+}
+
+function MatchSetup({ onStart }) {
+  const [names, setNames] = useState(["Player 1", "Player 2"]);
+  const [bestOf, setBestOf] = useState(3);
+
+  return (
+    <form
+      className="match-setup"
+      onSubmit={(e) => {
+        e.preventDefault();
+        const trimmed = names.map((name) => name.trim());
+        if (trimmed.every(Boolean) && trimmed[0] !== trimmed[1]) onStart(trimmed, bestOf);
+      }}
+    >
+      {names.map((name, i) => (
+        <input
+          key={i}
+          value={name}
+          aria-label={"Player " + (i + 1) + " name"}
+          onChange={(e) => setNames(names.map((n, j) => (j === i ? e.target.value : n)))}
+        />
+      ))}
+      <label>
+        Best of{" "}
+        <select value={bestOf} onChange={(e) => setBestOf(Number(e.target.value))}>
+          {SERIES_LENGTHS.map((length) => (
+            <option key={length} value={length}>
+              {length}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="submit">Start match</button>
+    </form>
+  );
+}
+
+function PlayerStatsTable({ names, stats }) {
+  return (
+    <table className="player-stats">
+      <thead>
+        <tr>
+          <th>Player</th>
+          <th>Games</th>
+          <th>Win rate</th>
+          <th>Avg. length</th>
+          <th>Favourite opening</th>
+        </tr>
+      </thead>
+      <tbody>
+        {names.map((name) => {
+          const summary = stats[name] ? summarizeStats(stats[name]) : null;
+          return (
+            <tr key={name}>
+              <td>{name}</td>
+              <td>{summary ? summary.games : 0}</td>
+              <td>{summary ? Math.round(summary.winRate * 100) + "%" : "-"}</td>
+              <td>{summary ? summary.averageLength.toFixed(1) + " moves" : "-"}</td>
+              <td>{summary?.favouriteOpening ?? "-"}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+// A best-of-N series of classic games. `renderGame` draws one game and reports its result through
+// onResultChange, with the result of the finished game or null while it is still being played.
+export default function MatchGame({ renderGame }) {
+  const [match, setMatch] = useState(null);
+  const [results, setResults] = useState([]);
+  const [pendingResult, setPendingResult] = useState(null);
+  const [stats, setStats] = useState(loadPlayerStats);
+
+  if (!match) {
+    return (
+      <MatchSetup
+        onStart={(names, bestOf) => {
+          setMatch({ names, bestOf });
+          setResults([]);
+          setPendingResult(null);
+        }}
+      />
+    );
+  }
+
+  const { names, bestOf } = match;
+  const standing = seriesStanding(results, bestOf);
+  const gamePlayers = playersForGame(names, results.length);
+
+  function handleNextGame() {
+    const { winner, moves, rules, size } = pendingResult;
+    setStats(
+      recordGameStats({
+        players: gamePlayers,
+        winner,
+        moveCount: moves.length,
+        opening: moves.length > 0 ? formatMove(moves[0], rules, size) : null,
+      })
+    );
+    const winnerName = winner === null ? null : gamePlayers[winner];
+    setResults([
+      ...results,
+      { winner: winnerName === null ? null : names.indexOf(winnerName), moves: moves.length },
+    ]);
+    setPendingResult(null);
+  }
+
+  let seriesStatus;
+  if (standing.winner !== null) {
+    seriesStatus = names[standing.winner] + " wins the series!";
+  } else if (standing.isOver) {
+    seriesStatus = "The series is drawn.";
+  } else {
+    seriesStatus =
+      "Game " + (results.length + 1) + " of " + bestOf + ": " +
+      gamePlayers.X + " plays X, " + gamePlayers.O + " plays O";
+  }
+
+  return (
+    <div className="match">
+      <table className="scoreboard">
+        <thead>
+          <tr>
+            <th></th>
+            <th>Wins</th>
+            <th>Losses</th>
+            <th>Draws</th>
+          </tr>
+        </thead>
+        <tbody>
+          {names.map((name, i) => (
+            <tr key={name}>
+              <td>{name}</td>
+              <td>{standing.score[i]}</td>
+              <td>{standing.score[1 - i]}</td>
+              <td>{standing.draws}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="series-status">{seriesStatus}</p>
+      {standing.isOver ? (
+        <button onClick={() => setMatch(null)}>New match</button>
+      ) : (
+        <>
+          <button disabled={!pendingResult} onClick={handleNextGame}>
+            Record result and start next game
+          </button>
+          {renderGame({ key: results.length, onResultChange: setPendingResult })}
+        </>
+      )}
+      <h4>Player statistics</h4>
+      <PlayerStatsTable names={names} stats={stats} />
+    </div>
+  );
+}
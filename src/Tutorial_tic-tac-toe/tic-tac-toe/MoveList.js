@@ -0,0 +1,90 @@
+import { isMainLine, lineThrough, siblingIds } from "./moveTree";
+
+// The line through the current position, with a switcher wherever a move has alternatives.
+// With focus anywhere in the list, the arrow keys step back and forward through the line, Home goes to the
+// start and End to the last move.
+export default function MoveList({ history, currentNodeId, onJump, onPromote }) {
+  const line = lineThrough(history, currentNodeId);
+  const index = line.indexOf(currentNodeId);
+
+  function handleKeyDown(e) {
+    let next = null;
+    switch (e.key) {
+      case "ArrowLeft":
+      case "ArrowUp":
+        next = line[index - 1];
+        break;
+      case "ArrowRight":
+      case "ArrowDown":
+        next = line[index + 1];
+        break;
+      case "Home":
+        next = line[0];
+        break;
+      case "End":
+        next = line[line.length - 1];
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (next !== undefined) onJump(next);
+  }
+
+  const moves = line.map((nodeId) => {
+    const { move } = history[nodeId];
+    let description;
+    if(move > 0){
+      description = "Go to Move #" + move;
+    }else{
+      description = "Go to Game Start";
+    }
+    const siblings = siblingIds(history, nodeId);
+    const siblingIndex = siblings.indexOf(nodeId);
+    return (
+      <li key={nodeId}>
+        {currentNodeId === nodeId ? (
+          <p>You are at move # {move}</p>
+        ) : (
+          <button onClick={() => onJump(nodeId)}>{description}</button>
+        )}
+        {siblings.length > 1 && (
+          <span className="variation-switch">
+            <button
+              disabled={siblingIndex === 0}
+              onClick={() => onJump(siblings[siblingIndex - 1])}
+              aria-label="Previous variation"
+            >
+              ‹
+            </button>
+            {siblingIndex === 0 ? "main" : "variation " + siblingIndex} (
+            {siblingIndex + 1}/{siblings.length})
+            <button
+              disabled={siblingIndex === siblings.length - 1}
+              onClick={() => onJump(siblings[siblingIndex + 1])}
+              aria-label="Next variation"
+            >
+              ›
+            </button>
+          </span>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <div
+      className="move-list"
+      tabIndex={0}
+      role="group"
+      aria-label="Move history: arrow keys step back and forward, Home and End jump to the start and end"
+      aria-keyshortcuts="ArrowLeft ArrowRight ArrowUp ArrowDown Home End"
+      onKeyDown={handleKeyDown}
+    >
+      {!isMainLine(history, currentNodeId) && (
+        <button onClick={onPromote}>Promote to main line</button>
+      )}
+      <ol>{moves}</ol>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react";
+import { lineThrough } from "./moveTree";
+
+// How long each move stays on the board during a replay at normal speed.
+export const REPLAY_INTERVAL = 1000;
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+// Plays the line back one move at a time, from wherever you are or from the start once you reach the end.
+// The scrubber jumps anywhere in the line and `describeMove(nodeId)` tells what the move into a node was.
+// Going back to an earlier move would normally follow the main line from there on, so the controls remember
+// where the line they were last used on ends and keep to it for as long as you stay on it.
+export default function ReplayControls({ history, currentNodeId, describeMove, onJump }) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [lineEndId, setLineEndId] = useState(null);
+  const heldLine = history[lineEndId] ? lineThrough(history, lineEndId) : [];
+  const line = heldLine.includes(currentNodeId) ? heldLine : lineThrough(history, currentNodeId);
+  const index = line.indexOf(currentNodeId);
+  const isAtEnd = index === line.length - 1;
+  // The next move of the line as it is now, for the timer to play.
+  const playNextRef = useRef(null);
+  playNextRef.current = () => jumpTo(index + 1);
+
+  // Re-armed whenever the position, the speed or play/pause changes.
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (isAtEnd) {
+      setIsPlaying(false);
+      return;
+    }
+    const timeout = setTimeout(() => playNextRef.current(), REPLAY_INTERVAL / speed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, isAtEnd, currentNodeId, speed]);
+
+  function jumpTo(nextIndex) {
+    setLineEndId(line[line.length - 1]);
+    onJump(line[nextIndex]);
+  }
+
+  function handlePlay() {
+    if (isAtEnd) jumpTo(0);
+    setIsPlaying(true);
+  }
+
+  function step(offset) {
+    setIsPlaying(false);
+    jumpTo(index + offset);
+  }
+
+  let caption;
+  if (index === 0) {
+    caption = "Start of the game";
+  } else {
+    caption = "Move " + index + " of " + (line.length - 1) + ": " + describeMove(currentNodeId);
+  }
+
+  return (
+    <div className="replay-controls">
+      <div>
+        <button onClick={() => step(-1)} disabled={index === 0} aria-label="Step back">
+          ⏮
+        </button>
+        {isPlaying ? (
+          <button onClick={() => setIsPlaying(false)}>Pause</button>
+        ) : (
+          <button onClick={handlePlay} disabled={line.length < 2}>
+            {isAtEnd && line.length > 1 ? "Replay" : "Play"}
+          </button>
+        )}
+        <button onClick={() => step(1)} disabled={isAtEnd} aria-label="Step forward">
+          ⏭
+        </button>
+        <label>
+          {" "}Speed:{" "}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+            {REPLAY_SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <input
+        type="range"
+        aria-label="Timeline"
+        min={0}
+        max={line.length - 1}
+        value={index}
+        onChange={(e) => {
+          setIsPlaying(false);
+          jumpTo(Number(e.target.value));
+        }}
+      />
+      <div className="replay-caption">{caption}</div>
+    </div>
+  );
+}
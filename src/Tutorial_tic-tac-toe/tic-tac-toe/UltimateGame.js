@@ -0,0 +1,104 @@
+import { useState } from "react";
+import Board from "./Board";
+import { findWinningLine } from "./gameLogic";
+import MoveList from "./MoveList";
+import { addMove, createMoveTree, promoteToMainLine } from "./moveTree";
+import { playedSquare } from "./notation";
+import {
+  SUB_BOARDS,
+  activeBoard,
+  isBoardClosed,
+  isLegalMove,
+  metaBoard,
+  subBoard,
+  ultimateOutcome,
+} from "./ultimate";
+
+// Ultimate tic-tac-toe: nine Boards on a meta-board, with the same history tree and time travel as Game.
+export default function UltimateGame() {
+  const [history, setHistory] = useState(() => createMoveTree(Array(SUB_BOARDS * 9).fill(null)));
+  const [currentNodeId, setCurrentNodeId] = useState(0);
+  const currentNode = history[currentNodeId];
+  const xIsNext = currentNode.move % 2 === 0;
+  const currentSquares = currentNode.squares;
+  const lastMove =
+    currentNode.parentId === null
+      ? null
+      : playedSquare(history[currentNode.parentId].squares, currentSquares);
+  const active = activeBoard(currentSquares, lastMove);
+  const meta = metaBoard(currentSquares);
+  const outcome = ultimateOutcome(currentSquares);
+
+  // Each Board hands back its own nine squares; put them back into the full position.
+  function handleSubBoardPlay(board, nextCells) {
+    const square = board * 9 + playedSquare(subBoard(currentSquares, board), nextCells);
+    if (!isLegalMove(currentSquares, lastMove, square)) return;
+    const nextSquares = currentSquares.slice();
+    nextSquares[square] = nextCells[square - board * 9];
+    const { tree, nodeId } = addMove(history, currentNodeId, nextSquares);
+    setHistory(tree);
+    setCurrentNodeId(nodeId);
+  }
+
+  let status;
+  if (outcome.winner) {
+    status = "Winner: " + outcome.winner;
+  } else if (outcome.isDraw) {
+    status = "Draw";
+  } else {
+    status =
+      "Next Player: " +
+      (xIsNext ? "X" : "O") +
+      (active === null ? ", any open board" : ", board " + (active + 1));
+  }
+
+  const gameOver = Boolean(outcome.winner) || outcome.isDraw;
+  const rows = [];
+  for (let row = 0; row < 3; row++) {
+    const boards = [];
+    for (let col = 0; col < 3; col++) {
+      const board = row * 3 + col;
+      const isActive =
+        !gameOver &&
+        !isBoardClosed(currentSquares, board) &&
+        (active === null || active === board);
+      let className = "sub-board";
+      if (isActive) className += " active";
+      if (meta[board]) className += " won";
+      boards.push(
+        <div className={className} key={board} data-winner={meta[board] ?? undefined}>
+          <Board
+            mark={xIsNext ? "X" : "O"}
+            squares={subBoard(currentSquares, board)}
+            highlight={findWinningLine(subBoard(currentSquares, board))}
+            label={"Board " + (board + 1) + (isActive ? ", active" : "")}
+            onPlay={(nextCells) => handleSubBoardPlay(board, nextCells)}
+            disabled={!isActive}
+          />
+        </div>
+      );
+    }
+    rows.push(
+      <div className="meta-row" key={row}>
+        {boards}
+      </div>
+    );
+  }
+
+  return (
+    <div className="game">
+      <div className="game-board">
+        <div className="status">{status}</div>
+        {rows}
+      </div>
+      <div className="game-info">
+        <MoveList
+          history={history}
+          currentNodeId={currentNodeId}
+          onJump={setCurrentNodeId}
+          onPromote={() => setHistory(promoteToMainLine(history, currentNodeId))}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import {
+  allLines,
+  boardSize,
+  calculateWinner,
+  emptySquares,
+  otherPlayer,
+} from "./gameLogic";
+import { RULES } from "./rules";
+import { bestMoves, canSolve } from "./solver";
+
+/*
+Computer opponent for tic-tac-toe.
+- "hard" runs a negamax search with alpha-beta pruning. On the classic 3×3 board it searches to the end of the
+game, so it never loses. Bigger boards are far too large for that, so the search stops after a few plies and
+scores the position by counting the lines each player can still complete.
+- "medium" only looks a move or two ahead: on 3×3 it takes a win and blocks an immediate threat, but misses forks.
+- "easy" plays a random empty square.
+When several moves score the same, one of them is picked at random so games don't all look alike.
+
+Other rule variants go through the generic rules interface instead: "hard" plays perfectly through the solver
+once the position is small enough, and otherwise every level searches a few plies with no position heuristic.
+Moves come back as { square, symbol }, since in some variants the computer also picks which mark to place.
+*/
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+const WIN_SCORE = 1e9;
+
+function searchDepth(difficulty, squareCount) {
+  if (difficulty === "medium") return squareCount <= 9 ? 2 : 1;
+  if (squareCount <= 9) return Infinity;
+  if (squareCount <= 16) return 4;
+  if (squareCount <= 49) return 3;
+  return 2;
+}
+
+// Heuristic score for `player`: every line that only one side has marks in is worth more the fuller it is.
+function evaluate(squares, lines, player) {
+  let score = 0;
+  for (const line of lines) {
+    let mine = 0;
+    let theirs = 0;
+    for (const i of line) {
+      if (squares[i] === player) mine++;
+      else if (squares[i]) theirs++;
+    }
+    if (mine && !theirs) score += 10 ** mine;
+    else if (theirs && !mine) score -= 10 ** theirs;
+  }
+  return score;
+}
+
+// On big boards, only squares next to an existing mark are worth searching.
+function candidateMoves(squares) {
+  const empty = emptySquares(squares);
+  if (squares.length <= 9) return empty;
+  const size = boardSize(squares);
+  const candidates = empty.filter((i) => {
+    const row = Math.floor(i / size);
+    const col = i % size;
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        if (r >= 0 && r < size && c >= 0 && c < size && squares[r * size + c]) return true;
+      }
+    }
+    return false;
+  });
+  if (candidates.length > 0) return candidates;
+  const center = Math.floor(size / 2) * size + Math.floor(size / 2);
+  return squares[center] ? empty : [center];
+}
+
+// Score of the position for `player`, who is about to move. Faster wins and slower losses score higher.
+function negamax(squares, player, depth, search, alpha, beta) {
+  if (calculateWinner(squares, search.winLength)) {
+    // The previous move made a line, so the player to move has lost.
+    return -(WIN_SCORE - depth);
+  }
+  const moves = candidateMoves(squares);
+  if (moves.length === 0) return 0;
+  if (depth >= search.maxDepth) return evaluate(squares, search.lines, player);
+
+  let best = -Infinity;
+  for (const i of moves) {
+    squares[i] = player;
+    const score = -negamax(squares, otherPlayer(player), depth + 1, search, -beta, -alpha);
+    squares[i] = null;
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+// Like negamax, but asks the rules for moves and results, so it works for every variant.
+function rulesNegamax(squares, rules, config, depth, maxDepth, alpha, beta) {
+  const outcome = rules.outcome(squares, config);
+  if (outcome.winner) {
+    const score = WIN_SCORE - depth;
+    return outcome.winner === rules.playerToMove(squares) ? score : -score;
+  }
+  if (outcome.isDraw || depth >= maxDepth) return 0;
+
+  let best = -Infinity;
+  for (const { square, symbol } of rules.legalMoves(squares, config)) {
+    squares[square] = symbol;
+    const score = -rulesNegamax(squares, rules, config, depth + 1, maxDepth, -beta, -alpha);
+    squares[square] = null;
+    if (score > best) best = score;
+    if (best > alpha) alpha = best;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+function chooseVariantMove(squares, difficulty, rules, config, random) {
+  const moves = rules.legalMoves(squares, config);
+  if (moves.length === 0) return null;
+  if (difficulty === "easy") return pickRandom(moves, random);
+  if (difficulty === "hard" && canSolve(squares, rules, config)) {
+    return pickRandom(bestMoves(squares, rules, config), random);
+  }
+
+  const maxDepth = difficulty === "hard" ? 3 : 2;
+  const board = squares.slice();
+  let bestScore = -Infinity;
+  let best = [];
+  for (const move of moves) {
+    board[move.square] = move.symbol;
+    const score = -rulesNegamax(board, rules, config, 1, maxDepth, -Infinity, Infinity);
+    board[move.square] = null;
+    if (score > bestScore) {
+      bestScore = score;
+      best = [move];
+    } else if (score === bestScore) {
+      best.push(move);
+    }
+  }
+  return pickRandom(best, random);
+}
+
+function pickRandom(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+// Returns the { square, symbol } the computer plays as `player`, or null if there is no legal move.
+export function chooseMove(
+  squares,
+  player,
+  difficulty = "hard",
+  {
+    rules = RULES.standard,
+    size = boardSize(squares),
+    winLength = 3,
+    random = Math.random,
+  } = {}
+) {
+  if (rules.id !== RULES.standard.id) {
+    return chooseVariantMove(squares, difficulty, rules, { size, winLength }, random);
+  }
+  const moves = candidateMoves(squares);
+  if (moves.length === 0 || calculateWinner(squares, winLength)) return null;
+  if (difficulty === "easy") {
+    return { square: pickRandom(emptySquares(squares), random), symbol: player };
+  }
+
+  const search = {
+    winLength,
+    maxDepth: searchDepth(difficulty, squares.length),
+    lines: allLines(boardSize(squares), winLength),
+  };
+  const board = squares.slice();
+  let bestScore = -Infinity;
+  let bestSquares = [];
+  for (const i of moves) {
+    board[i] = player;
+    // Full window at the root so equal moves get exact scores and can be told apart from worse ones.
+    const score = -negamax(board, otherPlayer(player), 1, search, -Infinity, Infinity);
+    board[i] = null;
+    if (score > bestScore) {
+      bestScore = score;
+      bestSquares = [i];
+    } else if (score === bestScore) {
+      bestSquares.push(i);
+    }
+  }
+  return { square: pickRandom(bestSquares, random), symbol: player };
+}
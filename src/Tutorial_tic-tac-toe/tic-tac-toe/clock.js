@@ -0,0 +1,43 @@
+// Time controls for timed games. A control either gives every move the same fixed time (`perMove`) or gives
+// each player a chess-style clock that starts at `initial` and gains `increment` after each of their moves.
+// All times are in milliseconds.
+
+export const TIME_CONTROLS = [
+  { id: "none", label: "Untimed" },
+  { id: "move-5", label: "5 s per move", perMove: 5000 },
+  { id: "move-15", label: "15 s per move", perMove: 15000 },
+  { id: "clock-1+1", label: "1 min + 1 s", initial: 60000, increment: 1000 },
+  { id: "clock-3+2", label: "3 min + 2 s", initial: 180000, increment: 2000 },
+  { id: "clock-5+0", label: "5 min", initial: 300000, increment: 0 },
+];
+
+export function findTimeControl(id) {
+  const control = TIME_CONTROLS.find((c) => c.id === id);
+  if (!control) throw Error("Unknown time control: " + id);
+  return control;
+}
+
+export function isTimed(control) {
+  return control.perMove !== undefined || control.initial !== undefined;
+}
+
+export function startingClocks(control) {
+  const time = control.perMove ?? control.initial;
+  return { X: time, O: time };
+}
+
+// The clocks once `player` has moved after thinking for `elapsed`.
+export function clocksAfterMove(control, clocks, player, elapsed) {
+  if (control.perMove !== undefined) {
+    return { ...clocks, [player]: control.perMove };
+  }
+  return { ...clocks, [player]: clocks[player] - elapsed + control.increment };
+}
+
+// "4:05" for minutes, "7.3" once it gets down to the last ten seconds.
+export function formatClock(ms) {
+  const time = Math.max(0, ms);
+  if (time < 10000) return (Math.floor(time / 100) / 10).toFixed(1);
+  const seconds = Math.ceil(time / 1000);
+  return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0");
+}
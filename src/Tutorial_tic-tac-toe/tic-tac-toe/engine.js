@@ -0,0 +1,229 @@
+import { addMove, createMoveTree, lineThrough, promoteToMainLine } from "./moveTree";
+import { MAX_SIZE, formatGame, parseGame, playedSquare } from "./notation";
+import { RULES, createSquares } from "./rules";
+
+/*
+The game engine: a whole classic game as one plain value, and pure functions to play it. Nothing here knows about
+React or the DOM, so the Game component, the computer opponent and server code can all share it.
+
+A game is { variant, size, winLength, tree, currentNodeId }:
+- variant is the id of its rules in rules.js, size and winLength the board shape.
+- tree is the move tree from moveTree.js, with every line that was played, and currentNodeId the position on
+  screen. Playing from an earlier position adds a variation rather than throwing the old continuation away.
+Games are never changed in place: every function returns a new game, or throws an Error for a move or position
+that doesn't exist.
+
+A move is { square, symbol }. The symbol can be left out when the player to move has only one mark to place.
+*/
+
+export function createGame({ variant = RULES.standard.id, size = 3, winLength = 3 } = {}) {
+  const rules = RULES[variant];
+  if (!rules) throw Error("Unknown variant: " + variant);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) {
+    throw Error("Size must be a whole number from 1 to " + MAX_SIZE + ", got " + size);
+  }
+  if (!Number.isInteger(winLength) || winLength < 1 || winLength > size) {
+    throw Error("WinLength must be a whole number from 1 to the size, got " + winLength);
+  }
+  return {
+    variant,
+    size,
+    winLength,
+    tree: createMoveTree(createSquares(rules, { size })),
+    currentNodeId: 0,
+  };
+}
+
+export function gameRules(game) {
+  return RULES[game.variant];
+}
+
+export function gameConfig(game) {
+  return { size: game.size, winLength: game.winLength };
+}
+
+export function currentSquares(game) {
+  return game.tree[game.currentNodeId].squares;
+}
+
+export function playerToMove(game) {
+  return gameRules(game).playerToMove(currentSquares(game));
+}
+
+export function legalMoves(game) {
+  return gameRules(game).legalMoves(currentSquares(game), gameConfig(game));
+}
+
+// { winner, line, isDraw, isEarlyDraw } for the current position.
+export function outcome(game) {
+  return gameRules(game).outcome(currentSquares(game), gameConfig(game));
+}
+
+export function isGameOver(game) {
+  const { winner, isDraw } = outcome(game);
+  return Boolean(winner) || isDraw;
+}
+
+// The move with its symbol filled in, or null if it can't be played in the current position.
+function completeMove(game, { square, symbol }) {
+  const moves = legalMoves(game).filter((move) => move.square === square);
+  if (symbol === undefined) return moves.length === 1 ? moves[0] : null;
+  return moves.find((move) => move.symbol === symbol) ?? null;
+}
+
+export function isLegalMove(game, move) {
+  return completeMove(game, move) !== null;
+}
+
+export function play(game, move) {
+  const legalMove = completeMove(game, move);
+  if (!legalMove) {
+    throw Error(
+      "Illegal move: square " + move.square + (move.symbol ? " (" + move.symbol + ")" : "") +
+        " after move " + game.tree[game.currentNodeId].move
+    );
+  }
+  const nextSquares = currentSquares(game).slice();
+  nextSquares[legalMove.square] = legalMove.symbol;
+  const { tree, nodeId } = addMove(game.tree, game.currentNodeId, nextSquares);
+  return { ...game, tree, currentNodeId: nodeId };
+}
+
+// Takes back the last move. It stays in the tree as the continuation, so jumpTo can bring it back.
+export function undo(game) {
+  const { parentId } = game.tree[game.currentNodeId];
+  if (parentId === null) throw Error("Nothing to undo at the start of the game");
+  return { ...game, currentNodeId: parentId };
+}
+
+export function jumpTo(game, nodeId) {
+  if (!game.tree[nodeId]) throw Error("No position with id " + nodeId);
+  return { ...game, currentNodeId: nodeId };
+}
+
+export function promoteCurrentLine(game) {
+  return { ...game, tree: promoteToMainLine(game.tree, game.currentNodeId) };
+}
+
+// The moves of the line through the current position, to its end.
+export function lineMoves(game) {
+  return lineThrough(game.tree, game.currentNodeId)
+    .slice(1)
+    .map((nodeId) => moveInto(game, nodeId));
+}
+
+// The move that led to a position.
+export function moveInto(game, nodeId) {
+  const node = game.tree[nodeId];
+  const square = playedSquare(game.tree[node.parentId].squares, node.squares);
+  return { square, symbol: node.squares[square] };
+}
+
+// Plays `moves` in order from the start and leaves the game at the last of them.
+export function playMoves(game, moves) {
+  return moves.reduce(play, game);
+}
+
+// The line through the current position in the text notation of notation.js. Variations are left out.
+export function toNotation(game, players) {
+  return formatGame({
+    rules: gameRules(game),
+    size: game.size,
+    winLength: game.winLength,
+    players,
+    moves: lineMoves(game),
+  });
+}
+
+// Reads notation into a game at its last move, along with the player names from its tags.
+export function fromNotation(text) {
+  const { rules, size, winLength, players, moves } = parseGame(text);
+  return { game: playMoves(createGame({ variant: rules.id, size, winLength }), moves), players };
+}
+
+/*
+Serialization keeps the whole game, variations included, as JSON:
+  { "version": 1, "variant", "size", "winLength", "moves": [...], "current": [...] }
+moves are the moves from the starting position, each { square, symbol, next: [...] } with the moves that follow
+it, main line first. current is the path to the current position as child indexes, e.g. [0, 1] is the second
+reply to the first move. Reading replays every move, so a game can't be loaded into an impossible position;
+node ids come out numbered in depth-first order rather than in the order the moves were first played.
+*/
+const SERIAL_VERSION = 1;
+
+export function serializeGame(game) {
+  function movesFrom(nodeId) {
+    return game.tree[nodeId].childIds.map((childId) => ({
+      ...moveInto(game, childId),
+      next: movesFrom(childId),
+    }));
+  }
+  const current = [];
+  for (let id = game.currentNodeId; game.tree[id].parentId !== null; id = game.tree[id].parentId) {
+    current.unshift(game.tree[game.tree[id].parentId].childIds.indexOf(id));
+  }
+  return JSON.stringify({
+    version: SERIAL_VERSION,
+    variant: game.variant,
+    size: game.size,
+    winLength: game.winLength,
+    moves: movesFrom(0),
+    current,
+  });
+}
+
+export function deserializeGame(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw Error("Saved game is not valid JSON");
+  }
+  if (!data || data.version !== SERIAL_VERSION) {
+    throw Error("Unsupported saved game version: " + data?.version);
+  }
+  let game = createGame({ variant: data.variant, size: data.size, winLength: data.winLength });
+
+  function playFrom(nodeId, moves) {
+    if (!Array.isArray(moves)) throw Error("Saved game moves must be a list");
+    moves.forEach(({ square, symbol, next }) => {
+      game = play(jumpTo(game, nodeId), { square, symbol });
+      playFrom(game.currentNodeId, next ?? []);
+    });
+  }
+  playFrom(0, data.moves);
+
+  let nodeId = 0;
+  (data.current ?? []).forEach((index) => {
+    const childId = game.tree[nodeId].childIds[index];
+    if (childId === undefined) throw Error("Saved game's current position is not in its moves");
+    nodeId = childId;
+  });
+  return jumpTo(game, nodeId);
+}
+
+/*
+The engine as a reducer, for useReducer. Actions:
+- { type: "play", move }, { type: "undo" }, { type: "jumpTo", nodeId }, { type: "promote" }
+- { type: "new", config }: a new game with createGame's { variant, size, winLength }
+- { type: "load", game }: replaces the game, e.g. with one read by fromNotation
+Illegal actions throw like the functions they call, so check with isLegalMove before dispatching a move.
+*/
+export function gameReducer(game, action) {
+  switch (action.type) {
+    case "play":
+      return play(game, action.move);
+    case "undo":
+      return undo(game);
+    case "jumpTo":
+      return jumpTo(game, action.nodeId);
+    case "promote":
+      return promoteCurrentLine(game);
+    case "new":
+      return createGame(action.config);
+    case "load":
+      return action.game;
+    default:
+      throw Error("Unknown action: " + action.type);
+  }
+}
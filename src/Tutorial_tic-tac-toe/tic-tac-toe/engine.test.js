@@ -0,0 +1,330 @@
+import {
+  createGame,
+  currentSquares,
+  deserializeGame,
+  fromNotation,
+  gameReducer,
+  isGameOver,
+  isLegalMove,
+  jumpTo,
+  legalMoves,
+  lineMoves,
+  outcome,
+  play,
+  playMoves,
+  playerToMove,
+  promoteCurrentLine,
+  serializeGame,
+  toNotation,
+  undo,
+} from "./engine";
+import { calculateWinner } from "./gameLogic";
+
+// The squares of a 3×3 position as a string, "X..O....." style, for comparing and as a map key.
+function show(game) {
+  return currentSquares(game).map((square) => square ?? ".").join("");
+}
+
+function playSquares(game, squares) {
+  return playMoves(game, squares.map((square) => ({ square })));
+}
+
+describe("createGame", () => {
+  test("starts an empty standard 3×3 game with X to move", () => {
+    const game = createGame();
+    expect(game).toMatchObject({ variant: "standard", size: 3, winLength: 3, currentNodeId: 0 });
+    expect(show(game)).toBe(".........");
+    expect(playerToMove(game)).toBe("X");
+    expect(legalMoves(game)).toHaveLength(9);
+    expect(isGameOver(game)).toBe(false);
+  });
+
+  test("sets up other variants and board shapes", () => {
+    expect(currentSquares(createGame({ size: 5, winLength: 4 }))).toHaveLength(25);
+    expect(currentSquares(createGame({ variant: "notakto" }))).toHaveLength(27);
+  });
+
+  test.each([
+    [{ variant: "chess" }, "Unknown variant"],
+    [{ size: 0 }, "Size"],
+    [{ size: 26 }, "Size"],
+    [{ size: 2.5 }, "Size"],
+    [{ size: 3, winLength: 4 }, "WinLength"],
+    [{ winLength: 0 }, "WinLength"],
+  ])("rejects %p", (config, message) => {
+    expect(() => createGame(config)).toThrow(message);
+  });
+});
+
+describe("play", () => {
+  test("places the mark of the player to move and hands the turn over", () => {
+    const game = play(createGame(), { square: 4 });
+    expect(show(game)).toBe("....X....");
+    expect(playerToMove(game)).toBe("O");
+    expect(game.tree[game.currentNodeId].move).toBe(1);
+  });
+
+  test("leaves the game it was given alone", () => {
+    const game = createGame();
+    play(game, { square: 4 });
+    expect(show(game)).toBe(".........");
+    expect(game.tree).toHaveLength(1);
+  });
+
+  test("accepts the symbol when it is the right one", () => {
+    expect(show(play(createGame(), { square: 0, symbol: "X" }))).toBe("X........");
+  });
+
+  test.each([
+    ["a taken square", [4], { square: 4 }],
+    ["a square off the board", [], { square: 9 }],
+    ["a square that isn't a number", [], { square: "4" }],
+    ["the other player's mark", [], { square: 0, symbol: "O" }],
+    ["a move after the game is won", [0, 3, 1, 4, 2], { square: 8 }],
+  ])("refuses %s", (_, squares, move) => {
+    const game = playSquares(createGame(), squares);
+    expect(isLegalMove(game, move)).toBe(false);
+    expect(() => play(game, move)).toThrow("Illegal move");
+  });
+
+  test("needs the symbol where the player chooses it", () => {
+    const game = createGame({ variant: "wild" });
+    expect(isLegalMove(game, { square: 0 })).toBe(false);
+    expect(show(play(game, { square: 0, symbol: "O" }))).toBe("O........");
+  });
+
+  test("playing the same move again from a position reuses it", () => {
+    const game = play(undo(play(createGame(), { square: 4 })), { square: 4 });
+    expect(game.tree).toHaveLength(2);
+  });
+});
+
+describe("undo and jumpTo", () => {
+  test("undo goes back one move and keeps it as the continuation", () => {
+    const played = playSquares(createGame(), [4, 0]);
+    const game = undo(played);
+    expect(show(game)).toBe("....X....");
+    expect(lineMoves(game)).toEqual([
+      { square: 4, symbol: "X" },
+      { square: 0, symbol: "O" },
+    ]);
+    expect(jumpTo(game, played.currentNodeId)).toEqual(played);
+  });
+
+  test("undo at the start throws", () => {
+    expect(() => undo(createGame())).toThrow("Nothing to undo");
+  });
+
+  test("jumpTo throws for a position that doesn't exist", () => {
+    expect(() => jumpTo(createGame(), 1)).toThrow("No position");
+  });
+
+  test("a different move after undo becomes a variation, and can be promoted", () => {
+    const main = playSquares(createGame(), [4, 0]);
+    const variation = play(undo(main), { square: 8 });
+    expect(variation.tree[main.tree[main.currentNodeId].parentId].childIds).toEqual([2, 3]);
+    expect(lineMoves(jumpTo(variation, 0)).map((m) => m.square)).toEqual([4, 0]);
+
+    const promoted = promoteCurrentLine(variation);
+    expect(lineMoves(jumpTo(promoted, 0)).map((m) => m.square)).toEqual([4, 8]);
+  });
+});
+
+describe("outcome", () => {
+  test("a completed row wins and is highlighted", () => {
+    const game = playSquares(createGame(), [0, 3, 1, 4, 2]);
+    expect(outcome(game)).toMatchObject({ winner: "X", line: [0, 1, 2], isDraw: false });
+    expect(legalMoves(game)).toEqual([]);
+  });
+
+  test("a board where every line holds both marks is a draw, even with a square left", () => {
+    const game = playSquares(createGame(), [0, 1, 2, 4, 3, 5, 7, 6]);
+    expect(outcome(game)).toMatchObject({ winner: null, isDraw: true, isEarlyDraw: true });
+    expect(isGameOver(game)).toBe(true);
+    expect(legalMoves(game)).toEqual([]);
+  });
+
+  test("in misère, completing a line loses", () => {
+    const game = playSquares(createGame({ variant: "misere" }), [0, 3, 1, 4, 2]);
+    expect(outcome(game).winner).toBe("O");
+  });
+
+  test("in Notakto, killing the last board loses", () => {
+    const game = createGame({ variant: "notakto" });
+    // Kill boards 1 and 2 with a row each, then the first row of board 3.
+    const squares = [0, 1, 2, 9, 10, 11, 18, 19, 20];
+    const finished = playSquares(game, squares);
+    expect(playerToMove(finished)).toBe("O");
+    expect(outcome(finished).winner).toBe("O");
+    expect(isLegalMove(playSquares(game, [0, 1, 2]), { square: 3 })).toBe(false);
+  });
+});
+
+describe("notation", () => {
+  test("round-trips the current line with the player names", () => {
+    const game = playSquares(createGame({ size: 4, winLength: 3 }), [5, 0, 6, 15]);
+    const players = { X: "Ann", O: "Computer (hard)" };
+    const text = toNotation(game, players);
+    const loaded = fromNotation(text);
+    expect(loaded.players).toEqual(players);
+    expect(lineMoves(loaded.game)).toEqual(lineMoves(game));
+    expect(loaded.game.currentNodeId).toBe(4);
+  });
+
+  test("throws for moves that can't be played", () => {
+    expect(() => fromNotation("1. (1,1) (1,1)")).toThrow("already taken");
+  });
+});
+
+describe("serialization", () => {
+  test("round-trips a game with variations and the current position", () => {
+    let game = playSquares(createGame(), [4, 0, 8]);
+    game = play(jumpTo(game, 1), { square: 2 });
+    game = play(jumpTo(game, 0), { square: 0 });
+    game = jumpTo(game, 4);
+
+    const restored = deserializeGame(serializeGame(game));
+    expect(show(restored)).toBe(show(game));
+    expect(lineMoves(jumpTo(restored, 0))).toEqual(lineMoves(jumpTo(game, 0)));
+    expect(serializeGame(restored)).toBe(serializeGame(game));
+    expect(restored.tree).toHaveLength(game.tree.length);
+  });
+
+  test("keeps the variant and board shape", () => {
+    const game = play(createGame({ variant: "wild", size: 4, winLength: 4 }), { square: 5, symbol: "O" });
+    const restored = deserializeGame(serializeGame(game));
+    expect(restored).toMatchObject({ variant: "wild", size: 4, winLength: 4 });
+    expect(currentSquares(restored)[5]).toBe("O");
+  });
+
+  test.each([
+    ["not JSON", "{", "not valid JSON"],
+    ["another version", JSON.stringify({ version: 2 }), "Unsupported"],
+    [
+      "an illegal move",
+      JSON.stringify({ version: 1, variant: "standard", size: 3, winLength: 3, moves: [{ square: 9 }] }),
+      "Illegal move",
+    ],
+    [
+      "a current position that isn't there",
+      JSON.stringify({ version: 1, variant: "standard", size: 3, winLength: 3, moves: [], current: [0] }),
+      "current position",
+    ],
+  ])("refuses %s", (_, text, message) => {
+    expect(() => deserializeGame(text)).toThrow(message);
+  });
+});
+
+describe("gameReducer", () => {
+  test("plays, undoes, jumps, promotes and starts over", () => {
+    let game = createGame();
+    game = gameReducer(game, { type: "play", move: { square: 4 } });
+    game = gameReducer(game, { type: "play", move: { square: 0 } });
+    game = gameReducer(game, { type: "undo" });
+    expect(show(game)).toBe("....X....");
+    game = gameReducer(game, { type: "play", move: { square: 8 } });
+    game = gameReducer(game, { type: "promote" });
+    game = gameReducer(game, { type: "jumpTo", nodeId: 0 });
+    expect(lineMoves(game).map((m) => m.square)).toEqual([4, 8]);
+    game = gameReducer(game, { type: "new", config: { size: 4, winLength: 4 } });
+    expect(currentSquares(game)).toHaveLength(16);
+  });
+
+  test("load replaces the game", () => {
+    const loaded = playSquares(createGame(), [0]);
+    expect(gameReducer(createGame(), { type: "load", game: loaded })).toBe(loaded);
+  });
+
+  test("throws for unknown actions", () => {
+    expect(() => gameReducer(createGame(), { type: "resign" })).toThrow("Unknown action");
+  });
+});
+
+// Walks every position reachable in standard 3×3 play through the engine and checks it against the known
+// numbers: 5,478 positions, 958 of them won or full, and 255,168 different games. The engine also calls a draw
+// as soon as every line holds both marks, which only ever happens with one square left, so that adds 40 finished
+// positions but no games: the last square could only have been filled in one way.
+describe("every reachable 3×3 position", () => {
+  const positions = new Map();
+  function explore(game) {
+    const key = show(game);
+    if (positions.has(key)) return positions.get(key);
+    const position = { game, games: { X: 0, O: 0, draw: 0 } };
+    positions.set(key, position);
+    if (isGameOver(game)) {
+      const { winner } = outcome(game);
+      position.games[winner ?? "draw"] = 1;
+    } else {
+      legalMoves(game).forEach((move) => {
+        const { games } = explore(play(game, move));
+        position.games.X += games.X;
+        position.games.O += games.O;
+        position.games.draw += games.draw;
+      });
+    }
+    return position;
+  }
+  const start = explore(createGame());
+  const all = [...positions.values()];
+  const finished = all.filter(({ game }) => isGameOver(game));
+
+  test("has the known number of positions and finished positions", () => {
+    expect(positions.size).toBe(5478);
+    const byResult = { X: 0, O: 0, draw: 0, earlyDraw: 0 };
+    finished.forEach(({ game }) => {
+      const { winner, isEarlyDraw } = outcome(game);
+      byResult[winner ?? (isEarlyDraw ? "earlyDraw" : "draw")]++;
+    });
+    expect(byResult).toEqual({ X: 626, O: 316, draw: 16, earlyDraw: 40 });
+  });
+
+  test("only calls an early draw with one square left", () => {
+    finished
+      .filter(({ game }) => outcome(game).isEarlyDraw)
+      .forEach(({ game }) => expect(currentSquares(game).filter((s) => s === null)).toHaveLength(1));
+  });
+
+  test("has the known number of complete games", () => {
+    expect(start.games).toEqual({ X: 131184, O: 77904, draw: 46080 });
+  });
+
+  test("agrees with calculateWinner and never lets both players win", () => {
+    all.forEach(({ game }) => {
+      const { winner, isDraw } = outcome(game);
+      expect(winner).toBe(calculateWinner(currentSquares(game)));
+      expect(Boolean(winner) && isDraw).toBe(false);
+    });
+  });
+
+  test("offers every empty square until the game is over, and nothing after", () => {
+    all.forEach(({ game }) => {
+      const empty = currentSquares(game).filter((square) => square === null).length;
+      expect(legalMoves(game)).toHaveLength(isGameOver(game) ? 0 : empty);
+    });
+  });
+
+  test("lets X move first and the players alternate", () => {
+    all.forEach(({ game }) => {
+      const marks = currentSquares(game);
+      const xs = marks.filter((square) => square === "X").length;
+      const os = marks.filter((square) => square === "O").length;
+      expect(xs - os).toBe(playerToMove(game) === "X" ? 0 : 1);
+    });
+  });
+
+  test("undo returns to the position before the last move", () => {
+    all.forEach(({ game }) => {
+      if (game.currentNodeId === 0) return;
+      const before = undo(game);
+      const { square } = lineMoves(before)[before.tree[before.currentNodeId].move];
+      expect(currentSquares(before)[square]).toBeNull();
+      expect(show(play(before, { square }))).toBe(show(game));
+    });
+  });
+
+  test("survives serialization", () => {
+    finished.forEach(({ game }) => {
+      expect(show(deserializeGame(serializeGame(game)))).toBe(show(game));
+    });
+  });
+});
@@ -0,0 +1,101 @@
+// Pure game rules shared by the Game component and the computer opponent.
+// Boards are square and stored row by row in a flat array, so a board of `size` rows has size * size squares.
+
+// Offsets [row, col] for the four directions a line can run in. The opposite directions are covered by
+// starting the scan from the other end of the line.
+const DIRECTIONS = [
+  [0, 1],
+  [1, 0],
+  [1, 1],
+  [1, -1],
+];
+
+export function boardSize(squares) {
+  return Math.round(Math.sqrt(squares.length));
+}
+
+// Returns the indices of the first `winLength` in a row found on the board, or null.
+export function findWinningLine(squares, winLength = 3) {
+  const size = boardSize(squares);
+  for (let i = 0; i < squares.length; i++) {
+    const mark = squares[i];
+    if (!mark) continue;
+    const row = Math.floor(i / size);
+    const col = i % size;
+    for (const [dRow, dCol] of DIRECTIONS) {
+      const line = [i];
+      let r = row + dRow;
+      let c = col + dCol;
+      while (
+        line.length < winLength &&
+        r >= 0 && r < size && c >= 0 && c < size &&
+        squares[r * size + c] === mark
+      ) {
+        line.push(r * size + c);
+        r += dRow;
+        c += dCol;
+      }
+      if (line.length === winLength) return line;
+    }
+  }
+  return null;
+}
+
+// Returns the mark that has `winLength` in a row anywhere on the board, or null.
+export function calculateWinner(squares, winLength = 3) {
+  const line = findWinningLine(squares, winLength);
+  return line ? squares[line[0]] : null;
+}
+
+/*
+Everything the UI needs to know about how a position stands:
+- winner: the mark that made a line, or null.
+- line: the indices of the winning squares, or null.
+- isDraw: true when nobody has won and nobody can any more.
+- isEarlyDraw: true for a draw declared before the board is full, because every line already holds both marks.
+*/
+export function calculateOutcome(squares, winLength = 3) {
+  const line = findWinningLine(squares, winLength);
+  if (line) {
+    return { winner: squares[line[0]], line, isDraw: false, isEarlyDraw: false };
+  }
+  if (squares.every(Boolean)) {
+    return { winner: null, line: null, isDraw: true, isEarlyDraw: false };
+  }
+  const canStillBeWon = allLines(boardSize(squares), winLength).some(
+    (candidate) => !(candidate.some((i) => squares[i] === "X") && candidate.some((i) => squares[i] === "O"))
+  );
+  return { winner: null, line: null, isDraw: !canStillBeWon, isEarlyDraw: !canStillBeWon };
+}
+
+// Every run of `winLength` squares that could form a line, as arrays of indices.
+export function allLines(size, winLength = 3) {
+  const lines = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      for (const [dRow, dCol] of DIRECTIONS) {
+        const endRow = row + dRow * (winLength - 1);
+        const endCol = col + dCol * (winLength - 1);
+        if (endRow < 0 || endRow >= size || endCol < 0 || endCol >= size) continue;
+        const line = [];
+        for (let step = 0; step < winLength; step++) {
+          line.push((row + dRow * step) * size + col + dCol * step);
+        }
+        lines.push(line);
+      }
+    }
+  }
+  return lines;
+}
+
+export function emptySquares(squares) {
+  const empty = [];
+  squares.forEach((square, i) => {
+    if (!square) empty.push(i);
+  });
+  return empty;
+}
+
+export function otherPlayer(player) {
+  return player === "X" ? "O" : "X";
+}
@@ -0,0 +1,72 @@
+/*
+Move history stored as a tree of variations instead of a single list, so playing from an earlier position adds a
+new branch rather than throwing the old continuation away.
+
+The tree is kept flat, like placesFlat.js: an array of nodes where a node's id is its index, and each node keeps
+its parentId and the ids of its children. childIds[0] is the main continuation; the other children are
+variations. Nodes are never removed, so an id always points to the same position.
+*/
+
+export function createMoveTree(squares) {
+  return [{ id: 0, squares, move: 0, parentId: null, childIds: [] }];
+}
+
+// Adds the position reached by playing from `parentId`. Returns the new tree and the id of the node for that
+// position, reusing an existing child when the same move was played before.
+export function addMove(tree, parentId, squares) {
+  const parent = tree[parentId];
+  const existingId = parent.childIds.find((id) =>
+    tree[id].squares.every((square, i) => square === squares[i])
+  );
+  if (existingId !== undefined) return { tree, nodeId: existingId };
+
+  const nodeId = tree.length;
+  const nextTree = tree.map((node) =>
+    node.id === parentId ? { ...node, childIds: [...node.childIds, nodeId] } : node
+  );
+  nextTree.push({ id: nodeId, squares, move: parent.move + 1, parentId, childIds: [] });
+  return { tree: nextTree, nodeId };
+}
+
+// Ids from the root down to `nodeId`, then on along the first children to the end of that line.
+export function lineThrough(tree, nodeId) {
+  const line = [];
+  for (let id = nodeId; id !== null; id = tree[id].parentId) {
+    line.unshift(id);
+  }
+  let node = tree[nodeId];
+  while (node.childIds.length > 0) {
+    node = tree[node.childIds[0]];
+    line.push(node.id);
+  }
+  return line;
+}
+
+export function siblingIds(tree, nodeId) {
+  const parentId = tree[nodeId].parentId;
+  return parentId === null ? [nodeId] : tree[parentId].childIds;
+}
+
+export function isMainLine(tree, nodeId) {
+  for (let id = nodeId; tree[id].parentId !== null; id = tree[id].parentId) {
+    if (tree[tree[id].parentId].childIds[0] !== id) return false;
+  }
+  return true;
+}
+
+// Makes the line through `nodeId` the main line by moving it to the front at every fork above it.
+export function promoteToMainLine(tree, nodeId) {
+  const promoted = new Map();
+  for (let id = nodeId; tree[id].parentId !== null; id = tree[id].parentId) {
+    promoted.set(tree[id].parentId, id);
+  }
+  return tree.map((node) => {
+    if (!promoted.has(node.id)) return node;
+    const childId = promoted.get(node.id);
+    if (node.childIds[0] === childId) return node;
+    return {
+      ...node,
+      childIds: [childId, ...node.childIds.filter((id) => id !== childId)],
+    };
+  });
+}
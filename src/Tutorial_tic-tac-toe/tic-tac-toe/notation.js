@@ -0,0 +1,155 @@
+import { RULES, createSquares } from "./rules";
+
+/*
+Text notation for a tic-tac-toe game, used to export, import and save games.
+
+A game is a few header tags followed by the move list:
+
+  [Variant "standard"]
+  [Size "3"]
+  [WinLength "3"]
+  [X "Human"]
+  [O "Computer (hard)"]
+
+  1. (2,2) (1,1) 2. (1,3) (3,1) 3. (2,1)
+
+- Variant is the id of the rules from rules.js: standard, misere, wild or notakto. Defaults to standard.
+- Size is the number of rows (and columns) of each board, WinLength how many marks in a row count as a line.
+  Both default to 3 when missing.
+- X and O name the first and second player. The first player always moves first.
+- Each move is the (row, col) of the square played, counting from 1 at the top left. Variants played on several
+  boards (Notakto) write (board, row, col), with boards also counted from 1. Where the player picks the mark
+  (Wild), it follows the move: (2,2)O.
+- The move numbers ("1.", "2.") are optional and ignored when reading; they mark each pair of moves.
+- Lines starting with ";" are comments.
+
+Only one line of play is stored: variations from the move tree are not part of the notation.
+*/
+
+const TAG_PATTERN = /^\[(\w+)\s+"([^"]*)"\]$/;
+const MOVE_PATTERN = /^\((\d+(?:,\d+){1,2})\)([XO])?$/;
+const MOVE_NUMBER_PATTERN = /^\d+\.$/;
+export const MAX_SIZE = 25;
+
+export const DEFAULT_PLAYERS = { X: "Human", O: "Human" };
+
+export function formatMove({ square, symbol }, rules, size) {
+  const cells = size * size;
+  const coords = [Math.floor((square % cells) / size) + 1, (square % size) + 1];
+  if (rules.boardCount > 1) coords.unshift(Math.floor(square / cells) + 1);
+  return "(" + coords.join(",") + ")" + (rules.choosesSymbol ? symbol : "");
+}
+
+export function formatGame({
+  rules = RULES.standard,
+  size,
+  winLength,
+  players = DEFAULT_PLAYERS,
+  moves,
+}) {
+  const tokens = [];
+  moves.forEach((move, index) => {
+    if (index % 2 === 0) tokens.push(index / 2 + 1 + ".");
+    tokens.push(formatMove(move, rules, size));
+  });
+  return [
+    '[Variant "' + rules.id + '"]',
+    '[Size "' + size + '"]',
+    '[WinLength "' + winLength + '"]',
+    '[X "' + players.X + '"]',
+    '[O "' + players.O + '"]',
+    "",
+    tokens.join(" "),
+  ].join("\n");
+}
+
+function parsePositiveInteger(value, tag) {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw Error(tag + " must be a positive whole number, got \"" + value + "\".");
+  }
+  return Number(value);
+}
+
+// Reads a game written by formatGame. Throws an Error saying what is wrong if the text isn't valid
+// notation or the moves can't be played in that order under the game's rules.
+export function parseGame(text) {
+  const tags = {};
+  const moveText = [];
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith(";")) return;
+    const tag = line.match(TAG_PATTERN);
+    if (tag) {
+      tags[tag[1]] = tag[2];
+    } else if (line.startsWith("[")) {
+      throw Error("Malformed header tag: " + line);
+    } else {
+      moveText.push(line);
+    }
+  });
+
+  const rules = RULES[tags.Variant ?? "standard"];
+  if (!rules) {
+    throw Error("Unknown variant \"" + tags.Variant + "\".");
+  }
+  const size = tags.Size === undefined ? 3 : parsePositiveInteger(tags.Size, "Size");
+  const winLength =
+    tags.WinLength === undefined ? 3 : parsePositiveInteger(tags.WinLength, "WinLength");
+  if (size > MAX_SIZE) {
+    throw Error("Size can be at most " + MAX_SIZE + ", got " + size + ".");
+  }
+  if (winLength > size) {
+    throw Error("WinLength " + winLength + " doesn't fit on a " + size + "×" + size + " board.");
+  }
+  const players = {
+    X: tags.X ?? DEFAULT_PLAYERS.X,
+    O: tags.O ?? DEFAULT_PLAYERS.O,
+  };
+
+  const config = { size, winLength };
+  const cells = size * size;
+  const coordCount = rules.boardCount > 1 ? 3 : 2;
+  // Join the tokens first so "(1, 2)" with a space inside still reads as one move.
+  const tokens = moveText.join(" ").replace(/\(\s*/g, "(").replace(/\s*,\s*/g, ",").split(/\s+/);
+  const squares = createSquares(rules, config);
+  const moves = [];
+  tokens.forEach((token) => {
+    if (token === "" || MOVE_NUMBER_PATTERN.test(token)) return;
+    const label = "Move " + (moves.length + 1) + " " + token;
+    const match = token.match(MOVE_PATTERN);
+    const coords = match ? match[1].split(",").map(Number) : [];
+    if (coords.length !== coordCount) {
+      throw Error(label + " is not a " + (coordCount === 3 ? "(board,row,col)" : "(row,col)") + " move.");
+    }
+    const [row, col] = coords.slice(-2);
+    const board = coordCount === 3 ? coords[0] : 1;
+    if (board < 1 || board > rules.boardCount || row < 1 || row > size || col < 1 || col > size) {
+      throw Error(label + " is off the board.");
+    }
+    const outcome = rules.outcome(squares, config);
+    if (outcome.winner || outcome.isDraw) {
+      throw Error(label + " comes after the game was already over.");
+    }
+    const square = (board - 1) * cells + (row - 1) * size + (col - 1);
+    if (squares[square]) {
+      throw Error(label + " is on a square already taken by " + squares[square] + ".");
+    }
+    const symbols = rules.symbols(squares);
+    const symbol = match[2] ?? (symbols.length === 1 ? symbols[0] : null);
+    if (!symbol) {
+      throw Error(label + " needs the mark played, like (1,1)X.");
+    }
+    if (!rules.legalMoves(squares, config).some((m) => m.square === square && m.symbol === symbol)) {
+      throw Error(label + " isn't allowed under " + rules.label + " rules.");
+    }
+    squares[square] = symbol;
+    moves.push({ square, symbol });
+  });
+
+  return { rules, size, winLength, players, moves };
+}
+
+// The square played to get from one position to the next.
+export function playedSquare(previousSquares, squares) {
+  return squares.findIndex((square, i) => square !== previousSquares[i]);
+}
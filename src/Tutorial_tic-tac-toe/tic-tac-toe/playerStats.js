@@ -0,0 +1,62 @@
+// Per-player match statistics, kept in localStorage by player name.
+
+const STORAGE_KEY = "tic-tac-toe.playerStats";
+
+function emptyStats() {
+  return { games: 0, wins: 0, losses: 0, draws: 0, totalMoves: 0, openings: {} };
+}
+
+export function loadPlayerStats() {
+  try {
+    const stats = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stats && typeof stats === "object" ? stats : {};
+  } catch {
+    // Storage that is unavailable or holds something else just means no statistics yet.
+    return {};
+  }
+}
+
+// Adds one finished game to both players' statistics and returns the updated statistics.
+// When storage can't be written, the statistics returned still count the game; they last until the page is closed.
+// `players` maps "X" and "O" to names, `winner` is "X", "O" or null, and `opening` is the first move as text,
+// which counts towards the opening statistics of whoever played it.
+export function recordGameStats({ players, winner, moveCount, opening }) {
+  const stats = loadPlayerStats();
+  ["X", "O"].forEach((player) => {
+    const name = players[player];
+    const previous = stats[name] ?? emptyStats();
+    const next = {
+      ...previous,
+      games: previous.games + 1,
+      totalMoves: previous.totalMoves + moveCount,
+      openings: { ...previous.openings },
+    };
+    if (winner === null) next.draws++;
+    else if (winner === player) next.wins++;
+    else next.losses++;
+    if (player === "X" && opening) {
+      next.openings[opening] = (next.openings[opening] ?? 0) + 1;
+    }
+    stats[name] = next;
+  });
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stats));
+  } catch {
+    // A full or blocked storage mustn't keep the match from going on.
+  }
+  return stats;
+}
+
+export function summarizeStats(stats) {
+  const openings = Object.entries(stats.openings);
+  let favouriteOpening = null;
+  if (openings.length > 0) {
+    favouriteOpening = openings.reduce((best, opening) => (opening[1] > best[1] ? opening : best))[0];
+  }
+  return {
+    games: stats.games,
+    winRate: stats.games === 0 ? 0 : stats.wins / stats.games,
+    averageLength: stats.games === 0 ? 0 : stats.totalMoves / stats.games,
+    favouriteOpening,
+  };
+}
@@ -0,0 +1,84 @@
+import { playersForGame, seriesStanding } from "./MatchGame";
+import { loadPlayerStats, recordGameStats, summarizeStats } from "./playerStats";
+
+const PLAYERS = { X: "Ann", O: "Bo" };
+
+beforeEach(() => localStorage.clear());
+
+describe("recordGameStats", () => {
+  test("counts the game for both players and the opening for X", () => {
+    recordGameStats({ players: PLAYERS, winner: "X", moveCount: 5, opening: "b2" });
+    const stats = recordGameStats({ players: { X: "Bo", O: "Ann" }, winner: null, moveCount: 9, opening: "a1" });
+    expect(stats).toEqual({
+      Ann: { games: 2, wins: 1, losses: 0, draws: 1, totalMoves: 14, openings: { b2: 1 } },
+      Bo: { games: 2, wins: 0, losses: 1, draws: 1, totalMoves: 14, openings: { a1: 1 } },
+    });
+    expect(loadPlayerStats()).toEqual(stats);
+  });
+
+  test("leaves the openings alone for a game without moves", () => {
+    const stats = recordGameStats({ players: PLAYERS, winner: "O", moveCount: 0, opening: null });
+    expect(stats.Ann.openings).toEqual({});
+    expect(stats.Bo.wins).toBe(1);
+  });
+
+  test("still returns the updated statistics when storage can't be written", () => {
+    const setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new Error("QuotaExceededError");
+    });
+    try {
+      const stats = recordGameStats({ players: PLAYERS, winner: "X", moveCount: 5, opening: "b2" });
+      expect(stats.Ann.wins).toBe(1);
+      expect(stats.Bo.losses).toBe(1);
+    } finally {
+      setItem.mockRestore();
+    }
+    expect(loadPlayerStats()).toEqual({});
+  });
+});
+
+test("summarizeStats works out the rates and the opening played most", () => {
+  const stats = { games: 4, wins: 3, losses: 0, draws: 1, totalMoves: 26, openings: { a1: 1, b2: 2, c3: 1 } };
+  expect(summarizeStats(stats)).toEqual({ games: 4, winRate: 0.75, averageLength: 6.5, favouriteOpening: "b2" });
+  expect(summarizeStats({ games: 0, wins: 0, losses: 0, draws: 0, totalMoves: 0, openings: {} })).toEqual({
+    games: 0,
+    winRate: 0,
+    averageLength: 0,
+    favouriteOpening: null,
+  });
+});
+
+describe("seriesStanding", () => {
+  test("is decided as soon as the leader can't be caught", () => {
+    expect(seriesStanding([{ winner: 0 }], 3)).toEqual({ score: [1, 0], draws: 0, winner: null, isOver: false });
+    expect(seriesStanding([{ winner: 0 }, { winner: 0 }], 3)).toEqual({
+      score: [2, 0],
+      draws: 0,
+      winner: 0,
+      isOver: true,
+    });
+    expect(seriesStanding([{ winner: 1 }, { winner: null }, { winner: 1 }], 5).winner).toBe(null);
+    expect(seriesStanding([{ winner: 1 }, { winner: 1 }, { winner: 1 }], 5).winner).toBe(1);
+  });
+
+  test("after the last game, more wins takes it, or the series is drawn", () => {
+    expect(seriesStanding([{ winner: 0 }, { winner: 1 }, { winner: null }], 3)).toEqual({
+      score: [1, 1],
+      draws: 1,
+      winner: null,
+      isOver: true,
+    });
+    expect(seriesStanding([{ winner: null }, { winner: null }, { winner: 1 }], 3).winner).toBe(1);
+    expect(seriesStanding([{ winner: null }], 1)).toMatchObject({ winner: null, isOver: true });
+  });
+});
+
+test("playersForGame swaps who plays X, and so who starts, every game", () => {
+  const names = ["Ann", "Bo"];
+  expect([0, 1, 2, 3].map((gameIndex) => playersForGame(names, gameIndex))).toEqual([
+    { X: "Ann", O: "Bo" },
+    { X: "Bo", O: "Ann" },
+    { X: "Ann", O: "Bo" },
+    { X: "Bo", O: "Ann" },
+  ]);
+});
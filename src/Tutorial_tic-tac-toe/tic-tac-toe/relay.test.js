@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from "ws";
+import { createRelayServer } from "../../../server/relay";
+
+let relay;
+let clients;
+
+beforeEach(async () => {
+  relay = await createRelayServer({ port: 0, host: "127.0.0.1" });
+  clients = [];
+});
+
+afterEach(async () => {
+  clients.forEach((client) => client.socket.terminate());
+  await relay.close();
+});
+
+// A player connected to the relay. `next()` resolves with the next message the server sends, in order.
+function connect() {
+  const socket = new WebSocket("ws://127.0.0.1:" + relay.port);
+  const received = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(data);
+    if (waiting.length > 0) waiting.shift()(message);
+    else received.push(message);
+  });
+  const client = {
+    socket,
+    send: (message) => socket.send(typeof message === "string" ? message : JSON.stringify(message)),
+    next: () => (received.length > 0 ? Promise.resolve(received.shift()) : new Promise((r) => waiting.push(r))),
+    // Skips messages until one of `type` arrives.
+    async nextOf(type) {
+      for (;;) {
+        const message = await client.next();
+        if (message.type === type) return message;
+      }
+    },
+  };
+  clients.push(client);
+  return new Promise((resolve) => socket.on("open", () => resolve(client)));
+}
+
+async function join(room, extra = {}) {
+  const client = await connect();
+  client.send({ type: "join", room, ...extra });
+  const joined = await client.next();
+  await client.nextOf("state");
+  return { client, joined };
+}
+
+test("the first two players in a room are seated as X and O", async () => {
+  const x = await join("lobby");
+  const o = await join("lobby");
+  expect(x.joined).toMatchObject({ type: "joined", room: "lobby", mark: "X", size: 3, winLength: 3 });
+  expect(o.joined).toMatchObject({ type: "joined", mark: "O" });
+  expect(await x.client.nextOf("state")).toEqual({ type: "state", moves: [], connected: { X: true, O: true } });
+
+  const third = await connect();
+  third.send({ type: "join", room: "lobby" });
+  expect(await third.next()).toEqual({ type: "error", message: "Room lobby already has two players." });
+});
+
+test("the first player to join sets the board shape", async () => {
+  const x = await join("big", { size: 4, winLength: 4 });
+  const o = await join("big", { size: 3, winLength: 3 });
+  expect(x.joined).toMatchObject({ size: 4, winLength: 4 });
+  expect(o.joined).toMatchObject({ size: 4, winLength: 4 });
+
+  const client = await connect();
+  client.send({ type: "join", room: "odd", size: 3, winLength: 4 });
+  expect(await client.next()).toEqual({ type: "error", message: "That board size and win length can't be played." });
+});
+
+test("moves are played in turn, on empty squares, against the current board", async () => {
+  const { client: x } = await join("turns");
+  const { client: o } = await join("turns");
+  await x.nextOf("state");
+
+  o.send({ type: "move", square: 0, moveNumber: 0 });
+  expect(await o.next()).toEqual({ type: "error", message: "It is X's turn." });
+
+  x.send({ type: "move", square: 4, moveNumber: 0 });
+  expect(await x.next()).toEqual({ type: "state", moves: [4], connected: { X: true, O: true } });
+  expect(await o.next()).toEqual({ type: "state", moves: [4], connected: { X: true, O: true } });
+
+  o.send({ type: "move", square: 4, moveNumber: 1 });
+  expect(await o.next()).toEqual({ type: "error", message: "That square can't be played." });
+
+  o.send({ type: "move", square: 0, moveNumber: 0 });
+  expect(await o.next()).toEqual({ type: "error", message: "That move was made on an out of date board." });
+  expect(await o.next()).toMatchObject({ type: "state", moves: [4] });
+
+  o.send({ type: "move", square: 0, moveNumber: 1 });
+  expect(await o.next()).toMatchObject({ type: "state", moves: [4, 0] });
+});
+
+test("no more moves are taken once the game is won", async () => {
+  const { client: x } = await join("won");
+  const { client: o } = await join("won");
+  await x.nextOf("state");
+  const moves = [0, 3, 1, 4, 2];
+  for (let i = 0; i < moves.length; i++) {
+    const player = i % 2 === 0 ? x : o;
+    player.send({ type: "move", square: moves[i], moveNumber: i });
+    await x.nextOf("state");
+    await o.nextOf("state");
+  }
+  o.send({ type: "move", square: 5, moveNumber: 5 });
+  expect(await o.next()).toEqual({ type: "error", message: "The game is already over." });
+});
+
+test("malformed messages get an error and the relay keeps going", async () => {
+  const client = await connect();
+  client.send("not json");
+  expect(await client.next()).toEqual({ type: "error", message: "Messages must be JSON." });
+  for (const message of ["null", "42", '"join"', "[]"]) {
+    client.send(message);
+    expect(await client.next()).toEqual({ type: "error", message: "Messages must be JSON objects." });
+  }
+  client.send({ type: "dance" });
+  expect(await client.next()).toEqual({ type: "error", message: "Unknown message type: dance" });
+  client.send({ type: "join", room: "  " });
+  expect(await client.next()).toEqual({ type: "error", message: "Pick a room name to join." });
+  client.send({ type: "move", square: 0, moveNumber: 0 });
+  expect(await client.next()).toEqual({ type: "error", message: "Join a room before playing." });
+
+  const { joined } = await join("still-up");
+  expect(joined.mark).toBe("X");
+});
+
+test("a player who reconnects with their player id gets their seat and the game back", async () => {
+  const x = await join("drop");
+  const { client: o } = await join("drop");
+  x.client.send({ type: "move", square: 0, moveNumber: 0 });
+  await o.nextOf("state");
+
+  x.client.socket.close();
+  expect(await o.nextOf("state")).toEqual({ type: "state", moves: [0], connected: { X: false, O: true } });
+
+  const back = await connect();
+  back.send({ type: "join", room: "drop", playerId: x.joined.playerId });
+  expect(await back.next()).toMatchObject({ type: "joined", mark: "X", playerId: x.joined.playerId });
+  expect(await back.next()).toEqual({ type: "state", moves: [0], connected: { X: true, O: true } });
+  expect(await o.next()).toEqual({ type: "state", moves: [0], connected: { X: true, O: true } });
+});
+
+test("joining another room gives up the seat in the first", async () => {
+  const { client: wanderer } = await join("first");
+  wanderer.send({ type: "join", room: "second" });
+  expect(await wanderer.next()).toMatchObject({ type: "joined", room: "second", mark: "X" });
+
+  const { joined } = await join("first");
+  expect(joined.mark).toBe("X");
+  const { joined: second } = await join("first");
+  expect(second.mark).toBe("O");
+});
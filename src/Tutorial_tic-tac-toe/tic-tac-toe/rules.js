@@ -0,0 +1,129 @@
+import { calculateOutcome, emptySquares, findWinningLine, otherPlayer } from "./gameLogic";
+
+/*
+Rule variants for the classic game. Each variant is a rules object with the same shape, and everything that needs
+to know what is allowed (the Game UI, the computer opponent, the solver and the notation) asks it rather than
+assuming standard rules:
+- id, label: how the variant is stored and shown.
+- playerNames: what to call the first player ("X") and the second ("O"). The players keep those ids in every
+  variant, even where they don't place their own mark.
+- boardCount: how many size × size boards are played at once. Board b holds squares b * size * size onwards.
+- choosesSymbol: true when the player to move picks which mark to place.
+- describe(config): one line explaining how the game is won.
+- playerToMove(squares): "X" or "O". Every move places exactly one mark, so it follows from the number of marks.
+- symbols(squares): the marks the player to move may place.
+- legalMoves(squares, config): every { square, symbol } the player to move may play, [] once the game is over.
+- outcome(squares, config): { winner, line, isDraw, isEarlyDraw }, where winner is the player who won and line
+  holds the squares to highlight.
+config is the board shape, { size, winLength }.
+*/
+
+function countMarks(squares) {
+  return squares.filter(Boolean).length;
+}
+
+function alternatingPlayer(squares) {
+  return countMarks(squares) % 2 === 0 ? "X" : "O";
+}
+
+function lastMover(squares) {
+  return otherPlayer(alternatingPlayer(squares));
+}
+
+function isOver(outcome) {
+  return Boolean(outcome.winner) || outcome.isDraw;
+}
+
+function allEmptySquareMoves(rules, squares, config) {
+  if (isOver(rules.outcome(squares, config))) return [];
+  const symbols = rules.symbols(squares);
+  return emptySquares(squares).flatMap((square) => symbols.map((symbol) => ({ square, symbol })));
+}
+
+const standard = {
+  id: "standard",
+  label: "Standard",
+  playerNames: { X: "X", O: "O" },
+  boardCount: 1,
+  choosesSymbol: false,
+  describe: ({ winLength }) => winLength + " in a row wins",
+  playerToMove: alternatingPlayer,
+  symbols: (squares) => [alternatingPlayer(squares)],
+  legalMoves(squares, config) {
+    return allEmptySquareMoves(this, squares, config);
+  },
+  outcome: (squares, { winLength }) => calculateOutcome(squares, winLength),
+};
+
+// Misère: whoever completes a line of their own mark loses.
+const misere = {
+  ...standard,
+  id: "misere",
+  label: "Misère",
+  describe: ({ winLength }) => winLength + " in a row loses",
+  outcome(squares, { winLength }) {
+    const outcome = calculateOutcome(squares, winLength);
+    return outcome.winner ? { ...outcome, winner: otherPlayer(outcome.winner) } : outcome;
+  },
+};
+
+// Wild: either player may place either mark, and whoever completes a line of one mark wins.
+const wild = {
+  ...standard,
+  id: "wild",
+  label: "Wild",
+  playerNames: { X: "Player 1", O: "Player 2" },
+  choosesSymbol: true,
+  describe: ({ winLength }) => winLength + " in a row of either mark wins for whoever completes it",
+  symbols: () => ["X", "O"],
+  outcome(squares, { winLength }) {
+    const outcome = calculateOutcome(squares, winLength);
+    return outcome.winner ? { ...outcome, winner: lastMover(squares) } : outcome;
+  },
+};
+
+// Notakto: both players place X on several boards. A board with a line on it is dead, and whoever kills the
+// last live board loses. There are no draws, since a full board always has a line.
+export const NOTAKTO_BOARDS = 3;
+
+function notaktoBoardLines(squares, { size, winLength }) {
+  const cells = size * size;
+  const lines = [];
+  for (let board = 0; board < squares.length / cells; board++) {
+    const line = findWinningLine(squares.slice(board * cells, (board + 1) * cells), winLength);
+    lines.push(line && line.map((i) => board * cells + i));
+  }
+  return lines;
+}
+
+const notakto = {
+  ...standard,
+  id: "notakto",
+  label: "Notakto",
+  playerNames: { X: "Player 1", O: "Player 2" },
+  boardCount: NOTAKTO_BOARDS,
+  describe: ({ winLength }) =>
+    "X only: " + winLength + " in a row kills a board, killing the last board loses",
+  symbols: () => ["X"],
+  legalMoves(squares, config) {
+    const cells = config.size * config.size;
+    const lines = notaktoBoardLines(squares, config);
+    if (lines.every(Boolean)) return [];
+    return emptySquares(squares)
+      .filter((square) => !lines[Math.floor(square / cells)])
+      .map((square) => ({ square, symbol: "X" }));
+  },
+  outcome(squares, config) {
+    const lines = notaktoBoardLines(squares, config);
+    const deadLines = lines.filter(Boolean);
+    const line = deadLines.length > 0 ? deadLines.flat() : null;
+    const winner = deadLines.length === lines.length ? alternatingPlayer(squares) : null;
+    return { winner, line, isDraw: false, isEarlyDraw: false };
+  },
+};
+
+export const RULES = { standard, misere, wild, notakto };
+
+export function createSquares(rules, { size }) {
+  return Array(rules.boardCount * size * size).fill(null);
+}
@@ -0,0 +1,33 @@
+// Saved tic-tac-toe games, kept in localStorage as notation text so they survive a reload.
+
+const STORAGE_KEY = "tic-tac-toe.savedGames";
+
+export function loadSavedGames() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    // Storage that is unavailable or holds something else just means no saved games.
+    return [];
+  }
+}
+
+// Throws when the games can't be written, e.g. when storage is full or turned off, and the list stays as it was.
+function storeSavedGames(games) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(games));
+  } catch {
+    throw Error("Saved games can't be changed: this browser's storage is full or turned off.");
+  }
+  return games;
+}
+
+// Adds a game to the front of the list and returns the updated list.
+export function saveGame(title, notation) {
+  const game = { id: Date.now(), title, savedAt: new Date().toISOString(), notation };
+  return storeSavedGames([game, ...loadSavedGames()]);
+}
+
+export function deleteSavedGame(id) {
+  return storeSavedGames(loadSavedGames().filter((game) => game.id !== id));
+}
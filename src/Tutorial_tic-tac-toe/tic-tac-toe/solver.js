@@ -0,0 +1,149 @@
+import { RULES } from "./rules";
+
+/*
+Exact game solver used by the analysis panel and the computer opponent. It works out what a position is worth
+with perfect play from both sides, under any rules from rules.js:
+- value: 1 if the player to move wins, -1 if they lose, 0 for a draw.
+- distance: how many more moves until that result: winners take the quickest win and losers hold out the longest.
+  A draw is a draw however long it takes, so a drawn position that is still being played has a null distance.
+The search is a negamax with alpha-beta pruning, and everything it learns about a position is cached, since the
+same positions come up again and again while browsing a game. Even so, it is only attempted while few enough
+squares can still be played; see maxEmptySquares.
+*/
+
+const MAX_CACHE_SIZE = 500000;
+const DEFAULT_CONFIG = { size: 3, winLength: 3 };
+
+/*
+How many playable squares a position may have and still be solved without holding up the page. Each empty square
+multiplies the work; bigger boards have more lines to check in every position, and where the player picks the mark
+there are twice as many moves. Notakto places only X, and dead boards drop out, so it gets a few more. A single
+3×3 board is always solvable.
+*/
+export function maxEmptySquares(rules = RULES.standard, config = DEFAULT_CONFIG) {
+  if (config.size <= 3 && rules.boardCount === 1) return 9;
+  let limit = config.size <= 4 ? 10 : 9;
+  if (rules.choosesSymbol) limit -= 2;
+  if (rules.boardCount > 1) limit += 3;
+  return limit;
+}
+
+export function canSolve(squares, rules = RULES.standard, config = DEFAULT_CONFIG) {
+  const playable = new Set(rules.legalMoves(squares, config).map((move) => move.square));
+  return playable.size <= maxEmptySquares(rules, config);
+}
+
+/*
+Inside the search a result is one score, from the player to move: WIN - d for a win in d moves, d - WIN for a loss
+in d moves and 0 for a draw, so that better is always bigger and a move's score is the negation of its reply's,
+one move further away.
+*/
+const WIN = 1000;
+
+// The score of a move, from the score of the position it leads to.
+function scoreOfMove(replyScore) {
+  if (replyScore > 0) return -(replyScore - 1);
+  if (replyScore < 0) return -(replyScore + 1);
+  return 0;
+}
+
+// The other way round, to turn the window of scores a position is searched with into its replies' window.
+function replyBound(bound) {
+  if (bound > 0) return -bound - 1;
+  if (bound < 0) return -bound + 1;
+  return 0;
+}
+
+const cache = new Map();
+
+function cacheKey(squares, rules, config) {
+  return (
+    rules.id + ":" + config.size + ":" + config.winLength + ":" +
+    squares.map((square) => square ?? "-").join("")
+  );
+}
+
+/*
+The score of `squares` if it lies between alpha and beta. Otherwise only a bound is known: a score at or below
+alpha means the position is worth at most that, one at or above beta at least that. The cache remembers which of
+the three it found. `squares` is played on in place and put back before returning.
+*/
+function search(squares, alpha, beta, rules, config) {
+  const key = cacheKey(squares, rules, config);
+  const cached = cache.get(key);
+  if (cached) {
+    if (cached.bound === "exact") return cached.score;
+    if (cached.bound === "lower" && cached.score >= beta) return cached.score;
+    if (cached.bound === "upper" && cached.score <= alpha) return cached.score;
+  }
+
+  let score;
+  let bound = "exact";
+  const outcome = rules.outcome(squares, config);
+  if (outcome.winner) {
+    score = outcome.winner === rules.playerToMove(squares) ? WIN : -WIN;
+  } else if (outcome.isDraw) {
+    score = 0;
+  } else {
+    const floor = alpha;
+    score = -Infinity;
+    for (const { square, symbol } of rules.legalMoves(squares, config)) {
+      squares[square] = symbol;
+      const moveScore = scoreOfMove(search(squares, replyBound(beta), replyBound(alpha), rules, config));
+      squares[square] = null;
+      if (moveScore > score) score = moveScore;
+      if (score > alpha) alpha = score;
+      if (alpha >= beta) break;
+    }
+    if (score <= floor) bound = "upper";
+    else if (score >= beta) bound = "lower";
+  }
+
+  if (cache.size >= MAX_CACHE_SIZE) cache.clear();
+  cache.set(key, { score, bound });
+  return score;
+}
+
+function exactScore(squares, rules, config) {
+  return search(squares.slice(), -Infinity, Infinity, rules, config);
+}
+
+function resultOf(score, isOver) {
+  if (score === 0) return { value: 0, distance: isOver ? 0 : null };
+  return { value: Math.sign(score), distance: WIN - Math.abs(score) };
+}
+
+export function solve(squares, rules = RULES.standard, config = DEFAULT_CONFIG) {
+  const outcome = rules.outcome(squares, config);
+  return resultOf(exactScore(squares, rules, config), Boolean(outcome.winner) || outcome.isDraw);
+}
+
+// Every { square, symbol } move that keeps the best result solve() found for the player to move.
+export function bestMoves(squares, rules = RULES.standard, config = DEFAULT_CONFIG) {
+  const best = exactScore(squares, rules, config);
+  return rules.legalMoves(squares, config).filter(({ square, symbol }) => {
+    const next = squares.slice();
+    next[square] = symbol;
+    return scoreOfMove(exactScore(next, rules, config)) === best;
+  });
+}
+
+// How much a move from `before` to `after` cost the player who made it: "win" if they had a forced win and
+// no longer do, "draw" if they could have held a draw and are now lost, or null if the move kept what they had.
+export function moveMistake(before, after, rules = RULES.standard, config = DEFAULT_CONFIG) {
+  const had = solve(before, rules, config).value;
+  const kept = -solve(after, rules, config).value;
+  if (kept >= had) return null;
+  return had === 1 ? "win" : "draw";
+}
+
+export function describeResult({ value, distance }, player, rules = RULES.standard) {
+  if (distance === 0) {
+    return value === 0 ? "Draw" : "Game over";
+  }
+  if (value === 0) return "Draw with best play";
+  const moves = distance === 1 ? "1 move" : distance + " moves";
+  const opponent = player === "X" ? "O" : "X";
+  if (value === 1) return rules.playerNames[player] + " wins in " + moves;
+  return rules.playerNames[opponent] + " wins in " + moves;
+}
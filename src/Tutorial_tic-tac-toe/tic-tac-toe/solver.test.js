@@ -0,0 +1,166 @@
+import { RULES } from "./rules";
+import { bestMoves, canSolve, describeResult, maxEmptySquares, moveMistake, solve } from "./solver";
+
+const CLASSIC = { size: 3, winLength: 3 };
+
+// Squares from a string of one character each, "." for empty.
+function parse(text) {
+  return [...text].map((c) => (c === "." ? null : c));
+}
+
+function squaresOf(moves) {
+  return moves.map(({ square }) => square);
+}
+
+// A plain minimax over every continuation, to check the pruned search against: { value, distance } as solve()
+// reports them. Positions are remembered in `seen`, but no line is ever cut short.
+function referenceSolve(squares, rules, config, seen = new Map()) {
+  const key = squares.map((square) => square ?? "-").join("");
+  if (!seen.has(key)) seen.set(key, referenceResult(squares, rules, config, seen));
+  return seen.get(key);
+}
+
+function referenceResult(squares, rules, config, seen) {
+  const outcome = rules.outcome(squares, config);
+  if (outcome.winner) return { value: outcome.winner === rules.playerToMove(squares) ? 1 : -1, distance: 0 };
+  if (outcome.isDraw) return { value: 0, distance: 0 };
+  let best = null;
+  for (const { square, symbol } of rules.legalMoves(squares, config)) {
+    const next = squares.slice();
+    next[square] = symbol;
+    const reply = referenceSolve(next, rules, config, seen);
+    const result = { value: -reply.value, distance: reply.distance + 1 };
+    const isBetter =
+      !best ||
+      result.value > best.value ||
+      (result.value === best.value && result.value === 1 && result.distance < best.distance) ||
+      (result.value === best.value && result.value === -1 && result.distance > best.distance);
+    if (isBetter) best = result;
+  }
+  return best.value === 0 ? { value: 0, distance: null } : best;
+}
+
+describe("known positions", () => {
+  test("standard: the empty board is a draw, and every first move keeps it", () => {
+    const squares = parse(".........");
+    expect(solve(squares)).toEqual({ value: 0, distance: null });
+    expect(squaresOf(bestMoves(squares))).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+
+  test("standard: the player to move takes the open line", () => {
+    const squares = parse("XX.OO....");
+    expect(solve(squares)).toEqual({ value: 1, distance: 1 });
+    expect(bestMoves(squares)).toEqual([{ square: 2, symbol: "X" }]);
+  });
+
+  test("standard: after X takes the centre against an edge, O is lost however they defend", () => {
+    const squares = parse("XO..X....");
+    const result = solve(squares);
+    expect(result.value).toBe(-1);
+    expect(result).toEqual(referenceSolve(squares, RULES.standard, CLASSIC));
+    expect(bestMoves(squares)).toEqual([{ square: 8, symbol: "O" }]);
+  });
+
+  test("misère: a draw, but only if X starts in the centre", () => {
+    const squares = parse(".........");
+    expect(solve(squares, RULES.misere)).toEqual({ value: 0, distance: null });
+    expect(bestMoves(squares, RULES.misere)).toEqual([{ square: 4, symbol: "X" }]);
+  });
+
+  test("wild: the first player wins by starting in the centre with either mark", () => {
+    const squares = parse(".........");
+    expect(solve(squares, RULES.wild)).toEqual({ value: 1, distance: 7 });
+    expect(bestMoves(squares, RULES.wild)).toEqual([
+      { square: 4, symbol: "X" },
+      { square: 4, symbol: "O" },
+    ]);
+  });
+
+  test("notakto: with two boards dead, the last one is won by taking its centre", () => {
+    // Player 2 is to move with only the third board left, X in its corner.
+    const squares = parse("XXX......XXX......X........");
+    expect(solve(squares, RULES.notakto)).toEqual({ value: 1, distance: 6 });
+    expect(bestMoves(squares, RULES.notakto)).toEqual([{ square: 26, symbol: "X" }]);
+  });
+
+  test("a finished game is over, whoever won it", () => {
+    expect(solve(parse("XXXOO...."))).toEqual({ value: -1, distance: 0 });
+    expect(solve(parse("XOXXOOOXX"))).toEqual({ value: 0, distance: 0 });
+    expect(bestMoves(parse("XXXOO...."))).toEqual([]);
+  });
+});
+
+describe("agrees with a full search", () => {
+  const singleBoard = Object.values(RULES).filter((rules) => rules.boardCount === 1);
+
+  // Every fifth position two moves into each single-board variant.
+  test.each(singleBoard.map((rules) => [rules.label, rules]))("%s", (label, rules) => {
+    const seen = new Map();
+    const start = Array(9).fill(null);
+    const openings = rules.legalMoves(start, CLASSIC).flatMap((first) => {
+      const after = start.slice();
+      after[first.square] = first.symbol;
+      return rules.legalMoves(after, CLASSIC).map((second) => {
+        const squares = after.slice();
+        squares[second.square] = second.symbol;
+        return squares;
+      });
+    });
+    openings
+      .filter((_, i) => i % 5 === 0)
+      .forEach((squares) => {
+        expect(solve(squares, rules, CLASSIC)).toEqual(referenceSolve(squares, rules, CLASSIC, seen));
+      });
+  });
+
+  // Notakto's three boards are too many for the full search until most of the game has been played.
+  test("Notakto", () => {
+    ["XXX.......XXX...........X..", "XX.X...X..X..X..X.X.......X", "X...X...X.X..X........X..X."].forEach((text) => {
+      const squares = parse(text);
+      expect(solve(squares, RULES.notakto, CLASSIC)).toEqual(referenceSolve(squares, RULES.notakto, CLASSIC));
+    });
+  });
+});
+
+test("moveMistake tells a thrown away win from a thrown away draw", () => {
+  const winning = parse("XX.OO....");
+  expect(moveMistake(winning, parse("XXXOO...."))).toBeNull();
+  expect(moveMistake(winning, parse("XX.OO...X"))).toBe("win");
+  const drawn = parse("....X....");
+  expect(moveMistake(drawn, parse("O...X...."))).toBeNull();
+  expect(moveMistake(drawn, parse(".O..X...."))).toBe("draw");
+});
+
+test("describeResult names the winner and how far away the result is", () => {
+  expect(describeResult({ value: 1, distance: 1 }, "X")).toBe("X wins in 1 move");
+  expect(describeResult({ value: -1, distance: 4 }, "X")).toBe("O wins in 4 moves");
+  expect(describeResult({ value: 1, distance: 7 }, "X", RULES.wild)).toBe("Player 1 wins in 7 moves");
+  expect(describeResult({ value: 0, distance: null }, "O")).toBe("Draw with best play");
+  expect(describeResult({ value: 0, distance: 0 }, "O")).toBe("Draw");
+  expect(describeResult({ value: -1, distance: 0 }, "O")).toBe("Game over");
+});
+
+describe("maxEmptySquares", () => {
+  test("a single 3×3 board can always be solved", () => {
+    Object.values(RULES)
+      .filter((rules) => rules.boardCount === 1)
+      .forEach((rules) => {
+        expect(canSolve(Array(9).fill(null), rules, CLASSIC)).toBe(true);
+      });
+  });
+
+  test("allows fewer empty squares on bigger boards and where the player picks the mark", () => {
+    const big = { size: 4, winLength: 4 };
+    const bigger = { size: 6, winLength: 4 };
+    expect(maxEmptySquares(RULES.standard, bigger)).toBeLessThan(maxEmptySquares(RULES.standard, big));
+    expect(maxEmptySquares(RULES.wild, big)).toBeLessThan(maxEmptySquares(RULES.standard, big));
+    expect(maxEmptySquares(RULES.misere, big)).toBe(maxEmptySquares(RULES.standard, big));
+
+    const squares = Array(16).fill(null);
+    expect(canSolve(squares, RULES.standard, big)).toBe(false);
+    // Three marks each leave ten empty squares, with no line finished yet.
+    squares.fill("X", 0, 3).fill("O", 3, 6);
+    expect(canSolve(squares, RULES.standard, big)).toBe(true);
+    expect(canSolve(squares, RULES.wild, big)).toBe(false);
+  });
+});
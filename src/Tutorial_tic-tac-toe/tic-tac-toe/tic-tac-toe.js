@@ -1,5 +1,28 @@
 import "./tic-tac-toe.css";
-import { useState } from "react";
+import { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { DIFFICULTIES, chooseMove } from "./ai";
+import { lineThrough } from "./moveTree";
+import { formatMove, playedSquare } from "./notation";
+import GameStorage from "./GameStorage";
+import useRelay from "./useRelay";
+import AnalysisPanel from "./AnalysisPanel";
+import Board, { describeSquare } from "./Board";
+import MoveList from "./MoveList";
+import ReplayControls from "./ReplayControls";
+import UltimateGame from "./UltimateGame";
+import { RULES } from "./rules";
+import MatchGame from "./MatchGame";
+import { TIME_CONTROLS, findTimeControl, formatClock } from "./clock";
+import useMoveClock from "./useMoveClock";
+import { otherPlayer } from "./gameLogic";
+import {
+  createGame,
+  gameReducer,
+  isLegalMove,
+  lineMoves,
+  playMoves,
+  toNotation,
+} from "./engine";
 
 /*
 To practice your new React skills, here are some ideas for improvements that you could make to the tic-tac-toe game, 
@@ -12,125 +35,562 @@ listed in order of increasing difficulty:
 5. Display the location for each move in the format (row, col) in the move history list.
 */
 
-function Square({ value, onSquareClick }) {
+// How long the computer "thinks" before playing, so its move doesn't land in the same frame as yours.
+const COMPUTER_MOVE_DELAY = 400;
+
+export const BOARD_PRESETS = [
+  { label: "3×3, 3 in a row", size: 3, winLength: 3 },
+  { label: "4×4, 4 in a row", size: 4, winLength: 4 },
+  { label: "5×5, 4 in a row", size: 5, winLength: 4 },
+  { label: "15×15 gomoku, 5 in a row", size: 15, winLength: 5 },
+];
+
+const COMPUTER_LABEL = /^Computer \((easy|medium|hard)\)$/;
+
+// How a player is named in saved games, so loading one can bring the computer opponent back.
+function playerLabel(player, opponent, computerPlayer, difficulty) {
+  if (opponent === "computer" && player === computerPlayer) {
+    return "Computer (" + difficulty + ")";
+  }
+  return "Human";
+}
+
+function GameSettings({
+  rules,
+  preset,
+  presetLocked,
+  opponent,
+  computerPlayer,
+  difficulty,
+  timeControl,
+  onVariantChange,
+  onPresetChange,
+  onOpponentChange,
+  onComputerPlayerChange,
+  onDifficultyChange,
+  onTimeControlChange,
+}) {
   return (
-    <button className="square" onClick={onSquareClick}>
-      {value}
-    </button>
+    <div className="game-settings">
+      <label>
+        Rules:{" "}
+        <select
+          value={rules.id}
+          disabled={presetLocked}
+          onChange={(e) => onVariantChange(e.target.value)}
+        >
+          {Object.values(RULES).map((variant) => (
+            <option key={variant.id} value={variant.id}>
+              {variant.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Board:{" "}
+        <select
+          value={preset}
+          disabled={presetLocked}
+          onChange={(e) => onPresetChange(Number(e.target.value))}
+        >
+          {preset === -1 && <option value={-1}>Custom</option>}
+          {BOARD_PRESETS.map((p, index) => (
+            <option key={p.label} value={index}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Opponent:{" "}
+        <select value={opponent} onChange={(e) => onOpponentChange(e.target.value)}>
+          <option value="human">Human</option>
+          <option value="computer">Computer</option>
+          {/* The relay only knows the standard rules. */}
+          {rules.id === RULES.standard.id && <option value="online">Online</option>}
+        </select>
+      </label>
+      {opponent === "computer" && (
+        <>
+          <label>
+            Computer plays:{" "}
+            <select
+              value={computerPlayer}
+              onChange={(e) => onComputerPlayerChange(e.target.value)}
+            >
+              <option value="X">{rules.playerNames.X}</option>
+              <option value="O">{rules.playerNames.O}</option>
+            </select>
+          </label>
+          <label>
+            Difficulty:{" "}
+            <select
+              value={difficulty}
+              onChange={(e) => onDifficultyChange(e.target.value)}
+            >
+              {DIFFICULTIES.map((level) => (
+                <option key={level} value={level}>
+                  {level}
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+      {/* Online games are untimed: the relay doesn't keep clocks. */}
+      {opponent !== "online" && (
+        <label>
+          Time:{" "}
+          <select
+            value={timeControl.id}
+            onChange={(e) => onTimeControlChange(e.target.value)}
+          >
+            {TIME_CONTROLS.map((control) => (
+              <option key={control.id} value={control.id}>
+                {control.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
   );
 }
 
-function calculateWinner(squares) {
-  const lines = [
-    [0, 1, 2],
-    [3, 4, 5],
-    [6, 7, 8],
-    [0, 3, 6],
-    [1, 4, 7],
-    [2, 5, 8],
-    [0, 4, 8],
-    [2, 4, 6],
-  ];
-  for (let i = 0; i < lines.length; i++) {
-    const [a, b, c] = lines[i];
-    if (squares[a] && squares[a] === squares[b] && squares[b] === squares[c]) {
-      return squares[a];
-    }
-  }
-  return null;
-}
+function OnlinePanel({ room, relay, onJoin, onLeave }) {
+  const [roomInput, setRoomInput] = useState(room ?? "");
+  const opponentMark = relay.mark === "X" ? "O" : "X";
 
-function Board({ xIsNext, squares, onPlay }) {
-  function handleClick(i) {
-    if (squares[i] || calculateWinner(squares)) return;
-    const nextSquares = squares.slice();
-    if (xIsNext) {
-      nextSquares[i] = "X";
-    } else {
-      nextSquares[i] = "O";
-    }
-    onPlay(nextSquares);
-  }
-  let winner = calculateWinner(squares);
   let status;
-  if (winner) {
-    status = "Winner: " + winner;
-  } else {
-    status = "Next Player: " + (xIsNext ? "X" : "O");
+  if (relay.status === "connected") {
+    status =
+      "You are " + relay.mark + ". " +
+      (relay.connected[opponentMark] ? "Opponent connected." : "Waiting for opponent...");
+  } else if (relay.status === "reconnecting") {
+    status = "Connection lost, reconnecting...";
+  } else if (relay.status === "connecting") {
+    status = "Connecting...";
+  } else if (relay.status === "failed") {
+    status = "Could not join.";
   }
 
   return (
-    <>
-      <div className="status">{status}</div>
-      <div className="board-row">
-        <Square value={squares[0]} onSquareClick={() => handleClick(0)} />
-        <Square value={squares[1]} onSquareClick={() => handleClick(1)} />
-        <Square value={squares[2]} onSquareClick={() => handleClick(2)} />
-      </div>
-      <div className="board-row">
-        <Square value={squares[3]} onSquareClick={() => handleClick(3)} />
-        <Square value={squares[4]} onSquareClick={() => handleClick(4)} />
-        <Square value={squares[5]} onSquareClick={() => handleClick(5)} />
-      </div>
-      <div className="board-row">
-        <Square value={squares[6]} onSquareClick={() => handleClick(6)} />
-        <Square value={squares[7]} onSquareClick={() => handleClick(7)} />
-        <Square value={squares[8]} onSquareClick={() => handleClick(8)} />
-      </div>
-    </>
+    <div className="online-panel">
+      {room ? (
+        <>
+          Room <b>{room}</b> <button onClick={onLeave}>Leave</button>
+        </>
+      ) : (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (roomInput.trim()) onJoin(roomInput.trim());
+          }}
+        >
+          <input
+            placeholder="Room name"
+            value={roomInput}
+            onChange={(e) => setRoomInput(e.target.value)}
+          />
+          <button type="submit">Join</button>
+        </form>
+      )}
+      {status && <p>{status}</p>}
+      {relay.error && <p className="error">{relay.error}</p>}
+    </div>
   );
 }
 
-export default function Game() {
+function ClassicGame({
+  size: initialSize = 3,
+  winLength: initialWinLength = 3,
+  onResultChange,
+}) {
   // const [xIsNext, setXisNext] = useState(true);
-  const [history, setHistory] = useState([Array(9).fill(null)]);
-  const [currentMove, setCurrentMove] = useState(0);
-  const xIsNext = currentMove %2 === 0;
-  const currentSquares = history[currentMove];
+  // The rules, board and move tree all live in the engine's game value; see engine.js.
+  const [game, dispatch] = useReducer(
+    gameReducer,
+    { size: initialSize, winLength: initialWinLength },
+    createGame
+  );
+  const { variant, size, winLength, tree: history, currentNodeId } = game;
+  const rules = RULES[variant];
+  const config = useMemo(() => ({ size, winLength }), [size, winLength]);
+  const [chosenSymbol, setChosenSymbol] = useState("X");
+  const [opponent, setOpponent] = useState("human");
+  const [computerPlayer, setComputerPlayer] = useState("O");
+  const [difficulty, setDifficulty] = useState("hard");
+  const [room, setRoom] = useState(null);
+  const [timeControlId, setTimeControlId] = useState("none");
+  const timeControl = findTimeControl(opponent === "online" ? "none" : timeControlId);
+  const isOnline = opponent === "online" && room !== null;
+  const relay = useRelay({
+    room: isOnline ? room : null,
+    size,
+    winLength,
+    onJoined: handleRelayJoined,
+    onState: handleRelayState,
+  });
+  const currentNode = history[currentNodeId];
+  const currentSquares = currentNode.squares;
+  const playerToMove = rules.playerToMove(currentSquares);
+  const symbols = rules.symbols(currentSquares);
+  const mark = symbols.includes(chosenSymbol) ? chosenSymbol : symbols[0];
+  const boardOutcome = rules.outcome(currentSquares, config);
+  // Clocks pause while you look at an earlier position, and a player who runs out of time loses.
+  const clock = useMoveClock({
+    timeControl,
+    rules,
+    history,
+    currentNodeId,
+    isRunning:
+      !boardOutcome.winner && !boardOutcome.isDraw && currentNode.childIds.length === 0,
+  });
+  const outcome = clock.flagged
+    ? { winner: otherPlayer(clock.flagged), line: null, isDraw: false, timedOut: clock.flagged }
+    : boardOutcome;
+  const isGameOver = Boolean(outcome.winner) || outcome.isDraw;
+  // The computer only plays at the end of a line, so browsing earlier moves with jumpTo never
+  // rewrites the game behind your back. Playing a move from an earlier position hands the turn back to it.
+  const isComputerTurn =
+    opponent === "computer" &&
+    !isGameOver &&
+    playerToMove === computerPlayer &&
+    currentNode.childIds.length === 0;
+  // Online, you can browse earlier moves but only play your own turn at the end of the game.
+  const isWaitingForRelay =
+    isOnline &&
+    (relay.status !== "connected" ||
+      relay.mark !== playerToMove ||
+      currentNode.childIds.length > 0);
 
+  // Playing from an earlier position starts a new variation next to the old continuation.
   function handlePlay(nextSquares) {
-    const nextHistory = [...history.slice(0, currentMove+1), nextSquares];
-    setHistory(nextHistory);
-    setCurrentMove(nextHistory.length-1);
+    const square = playedSquare(currentSquares, nextSquares);
+    const move = { square, symbol: nextSquares[square] };
+    if (!isLegalMove(game, move)) return;
+    if (isOnline) {
+      // The relay owns the online game: the move shows up once it comes back in the next state.
+      relay.sendMove(square, currentNode.move);
+      return;
+    }
+    dispatch({ type: "play", move });
     //setXisNext(!xIsNext);
   }
+  // The computer's move is played through the latest handlePlay, which changes every render.
+  const handlePlayRef = useRef(handlePlay);
+  handlePlayRef.current = handlePlay;
 
-  function jumpTo(nextMove){
-    setCurrentMove(nextMove);
-    //setXisNext(nextMove%2 === 0);
+  useEffect(() => {
+    if (!isComputerTurn) return;
+    const move = chooseMove(currentSquares, computerPlayer, difficulty, { rules, size, winLength });
+    if (move === null) return;
+    const timeoutId = setTimeout(() => {
+      const nextSquares = currentSquares.slice();
+      nextSquares[move.square] = move.symbol;
+      handlePlayRef.current(nextSquares);
+    }, COMPUTER_MOVE_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [isComputerTurn, currentSquares, computerPlayer, difficulty, rules, size, winLength]);
+
+  // A new variant or board shape starts a new game, since the old history can't be replayed on it.
+  function startNewGame(nextConfig) {
+    dispatch({ type: "new", config: nextConfig });
+    clock.reset();
+  }
+
+  // A different time control restarts the clocks of the game in progress.
+  function handleTimeControlChange(nextTimeControlId) {
+    setTimeControlId(nextTimeControlId);
+    clock.reset();
   }
 
-  const moves = history.map((squares, move)=>{
-    let description;
-    if(move > 0){
-      description = "Go to Move #" + move;
-    }else{
-      description = "Go to Game Start";
+  function handleVariantChange(nextVariant) {
+    startNewGame({ variant: nextVariant, size, winLength });
+    if (opponent === "online") handleOpponentChange("human");
+  }
+
+  function handlePresetChange(index) {
+    const preset = BOARD_PRESETS[index];
+    startNewGame({ variant, size: preset.size, winLength: preset.winLength });
+  }
+
+  // Joining a room with another board starts over on the room's board; its moves follow in the next state.
+  function handleRelayJoined(roomConfig) {
+    if (
+      variant !== RULES.standard.id ||
+      size !== roomConfig.size ||
+      winLength !== roomConfig.winLength
+    ) {
+      dispatch({ type: "new", config: { variant: RULES.standard.id, ...roomConfig } });
     }
-    return(
-      <li key={move}>
-        {currentMove === move ? <p>You are at move # {move}</p> : <button onClick={() => jumpTo(move)}>{description}</button>}
-      </li>
-    )
-  });
+  }
+
+  // The relay's move list replaces the local history. If you were at the latest move, follow the game;
+  // if you were looking at an earlier one, stay at that move number. Node ids can't be carried over: the
+  // local tree may have variations that numbered its nodes differently from the relay's single line.
+  function handleRelayState(moves, roomConfig) {
+    const relayGame = playMoves(
+      createGame(roomConfig),
+      moves.map((square) => ({ square }))
+    );
+    const wasAtEnd = currentNode.childIds.length === 0;
+    const relayLine = lineThrough(relayGame.tree, relayGame.currentNodeId);
+    const viewedNodeId = wasAtEnd
+      ? relayGame.currentNodeId
+      : relayLine[Math.min(currentNode.move, relayLine.length - 1)];
+    dispatch({ type: "load", game: { ...relayGame, currentNodeId: viewedNodeId } });
+  }
+
+  function handleOpponentChange(nextOpponent) {
+    setOpponent(nextOpponent);
+    setRoom(null);
+  }
+
+  function jumpTo(nodeId){
+    dispatch({ type: "jumpTo", nodeId });
+    //setXisNext(history[nodeId].move%2 === 0);
+  }
+
+  const players = {
+    X: playerLabel("X", opponent, computerPlayer, difficulty),
+    O: playerLabel("O", opponent, computerPlayer, difficulty),
+  };
+  const line = useMemo(() => lineThrough(history, currentNodeId), [history, currentNodeId]);
+  const notation = toNotation(game, players);
+
+  // Tell a surrounding match how this game ended, or that it hasn't: the result only counts while you are
+  // at the end of a finished line.
+  const isFinished = isGameOver && currentNode.childIds.length === 0;
+  const winner = outcome.winner;
+  useEffect(() => {
+    if (!onResultChange) return;
+    onResultChange(isFinished ? { winner, moves: lineMoves(game), rules, size } : null);
+  }, [onResultChange, isFinished, winner, game, rules, size]);
+
+  // Loads a game read from notation and puts you at its last move, ready to carry on playing.
+  function handleLoad(loaded) {
+    const { rules: loadedRules, size: loadedSize, winLength: loadedWinLength, moves } = loaded;
+    dispatch({
+      type: "load",
+      game: playMoves(
+        createGame({ variant: loadedRules.id, size: loadedSize, winLength: loadedWinLength }),
+        moves
+      ),
+    });
+    clock.reset();
+
+    const computer = ["X", "O"].find((p) => COMPUTER_LABEL.test(loaded.players[p]));
+    if (computer) {
+      setOpponent("computer");
+      setComputerPlayer(computer);
+      setDifficulty(loaded.players[computer].match(COMPUTER_LABEL)[1]);
+    } else {
+      setOpponent("human");
+    }
+    setRoom(null);
+  }
+
+  // "X played (2,3)", in the same coordinates as the notation.
+  function describeMove(nodeId) {
+    const parentSquares = history[history[nodeId].parentId].squares;
+    const square = playedSquare(parentSquares, history[nodeId].squares);
+    return (
+      rules.playerNames[rules.playerToMove(parentSquares)] + " played " +
+      formatMove({ square, symbol: history[nodeId].squares[square] }, rules, size)
+    );
+  }
+
+  function handlePromote() {
+    dispatch({ type: "promote" });
+  }
+
+  let status;
+  if (outcome.timedOut) {
+    status =
+      "Winner: " + rules.playerNames[outcome.winner] +
+      " (" + rules.playerNames[outcome.timedOut] + " ran out of time)";
+  } else if (outcome.winner) {
+    status = "Winner: " + rules.playerNames[outcome.winner];
+  } else if (outcome.isEarlyDraw) {
+    status = "Draw: no line can still be won";
+  } else if (outcome.isDraw) {
+    status = "Draw";
+  } else {
+    status = "Next Player: " + rules.playerNames[playerToMove];
+  }
+
+  // Screen readers hear each move and how the game stands after it, also when stepping through history.
+  let announcement = status + ".";
+  if (currentNode.parentId !== null) {
+    const parentSquares = history[currentNode.parentId].squares;
+    const square = playedSquare(parentSquares, currentSquares);
+    const where =
+      (rules.boardCount > 1 ? "board " + (Math.floor(square / (size * size)) + 1) + ", " : "") +
+      describeSquare(square % (size * size), size);
+    announcement =
+      "Move " + currentNode.move + ": " +
+      rules.playerNames[rules.playerToMove(parentSquares)] + " played " +
+      (rules.choosesSymbol ? currentSquares[square] + " at " : "") + where + ". " + announcement;
+  }
+
+  // Variants played on several boards get one Board each, side by side.
+  const cells = size * size;
+  const boards = [];
+  for (let board = 0; board < rules.boardCount; board++) {
+    const offset = board * cells;
+    const boardSquares = currentSquares.slice(offset, offset + cells);
+    boards.push(
+      <div className="game-board" key={board}>
+        <Board
+          squares={boardSquares}
+          mark={mark}
+          onPlay={(nextBoardSquares) => {
+            const nextSquares = currentSquares.slice();
+            nextSquares.splice(offset, cells, ...nextBoardSquares);
+            handlePlay(nextSquares);
+          }}
+          disabled={isGameOver || isComputerTurn || isWaitingForRelay}
+          highlight={outcome.line
+            ?.filter((i) => i >= offset && i < offset + cells)
+            .map((i) => i - offset)}
+          label={rules.boardCount > 1 ? "Board " + (board + 1) : "Board"}
+        />
+      </div>
+    );
+  }
 
   return (
     <>
+      <GameSettings
+        rules={rules}
+        preset={BOARD_PRESETS.findIndex(
+          (p) => p.size === size && p.winLength === winLength
+        )}
+        presetLocked={isOnline}
+        opponent={opponent}
+        computerPlayer={computerPlayer}
+        difficulty={difficulty}
+        timeControl={timeControl}
+        onVariantChange={handleVariantChange}
+        onPresetChange={handlePresetChange}
+        onOpponentChange={handleOpponentChange}
+        onComputerPlayerChange={setComputerPlayer}
+        onDifficultyChange={setDifficulty}
+        onTimeControlChange={handleTimeControlChange}
+      />
+      {opponent === "online" && (
+        <OnlinePanel
+          room={room}
+          relay={relay}
+          onJoin={setRoom}
+          onLeave={() => setRoom(null)}
+        />
+      )}
       <div className="game">
-        <div className="game-board">
-          <Board
-            xIsNext={xIsNext}
-            squares={currentSquares}
-            onPlay={handlePlay}
-          />
+        <div>
+          <div className="status">
+            {status}{" "}
+            <button
+              onClick={() => dispatch({ type: "undo" })}
+              disabled={currentNode.parentId === null}
+            >
+              Undo
+            </button>
+          </div>
+          <div className="visually-hidden" aria-live="polite">
+            {announcement}
+          </div>
+          <div className="win-rule">{rules.describe(config)}</div>
+          {clock.clocks && (
+            <div className="clocks">
+              {["X", "O"].map((player) => (
+                <span
+                  key={player}
+                  className={player === clock.activePlayer ? "clock active" : "clock"}
+                >
+                  {rules.playerNames[player]}: {formatClock(clock.clocks[player])}
+                </span>
+              ))}
+            </div>
+          )}
+          {symbols.length > 1 && !isGameOver && (
+            <div className="symbol-picker">
+              Place:{" "}
+              {symbols.map((symbol) => (
+                <button
+                  key={symbol}
+                  className={symbol === mark ? "selected" : undefined}
+                  onClick={() => setChosenSymbol(symbol)}
+                >
+                  {symbol}
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="boards">{boards}</div>
         </div>
         <div className="game-info">
-          <ol>{moves}</ol>
+          <ReplayControls
+            history={history}
+            currentNodeId={currentNodeId}
+            describeMove={describeMove}
+            onJump={jumpTo}
+          />
+          <MoveList
+            history={history}
+            currentNodeId={currentNodeId}
+            onJump={jumpTo}
+            onPromote={handlePromote}
+          />
+          <AnalysisPanel
+            history={history}
+            line={line}
+            currentNodeId={currentNodeId}
+            rules={rules}
+            config={config}
+            onJump={jumpTo}
+          />
+          <GameStorage
+            notation={notation}
+            title={
+              rules.label + ": " + players.X + " vs " + players.O + ", " +
+              (line.length - 1) + " moves"
+            }
+            onLoad={handleLoad}
+          />
         </div>
       </div>
     </>
   );
 }
+
+// Switching mode starts a fresh game of the other kind.
+export default function Game(props) {
+  const [mode, setMode] = useState("classic");
+  return (
+    <>
+      <label className="game-mode">
+        Mode:{" "}
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value="classic">Classic</option>
+          <option value="ultimate">Ultimate</option>
+          <option value="match">Match</option>
+        </select>
+      </label>
+      {mode === "ultimate" && <UltimateGame />}
+      {mode === "match" && (
+        <MatchGame
+          renderGame={({ key, onResultChange }) => (
+            <ClassicGame key={key} {...props} onResultChange={onResultChange} />
+          )}
+        />
+      )}
+      {mode === "classic" && <ClassicGame {...props} />}
+    </>
+  );
+}
+
 /*
 - In React, a component is a piece of reusable code that represents a part of a user interface. 
 Components are used to render, manage, and update the UI elements in your application.
@@ -0,0 +1,117 @@
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import Game from "./tic-tac-toe";
+
+// Stands in for the browser's WebSocket: the test opens it and plays the relay's side with receive().
+class FakeWebSocket {
+  static OPEN = 1;
+  static sockets = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  open() {
+    act(() => {
+      this.readyState = FakeWebSocket.OPEN;
+      this.onopen();
+    });
+  }
+
+  receive(message) {
+    act(() => this.onmessage({ data: JSON.stringify(message) }));
+  }
+}
+
+const originalWebSocket = global.WebSocket;
+
+beforeEach(() => {
+  FakeWebSocket.sockets = [];
+  global.WebSocket = FakeWebSocket;
+  sessionStorage.clear();
+});
+
+afterEach(() => {
+  global.WebSocket = originalWebSocket;
+});
+
+const SQUARE_NAMES = ["row 1, column 1", "row 1, column 2", "row 1, column 3", "row 2, column 1", "row 2, column 2"];
+
+function play(square) {
+  fireEvent.click(screen.getByRole("gridcell", { name: SQUARE_NAMES[square] + ", empty" }));
+}
+
+// The marks on the first squares of the board, "." for empty.
+function board() {
+  return SQUARE_NAMES.map((name) => {
+    const label = screen.getByRole("gridcell", { name: new RegExp("^" + name + ", ") }).getAttribute("aria-label");
+    return { X: "X", O: "O" }[label.slice(name.length + 2)] ?? ".";
+  }).join("");
+}
+
+function joinRoom() {
+  fireEvent.change(screen.getByRole("combobox", { name: "Opponent:" }), { target: { value: "online" } });
+  fireEvent.change(screen.getByPlaceholderText("Room name"), { target: { value: "lobby" } });
+  fireEvent.click(screen.getByRole("button", { name: "Join" }));
+  const [socket] = FakeWebSocket.sockets;
+  socket.open();
+  socket.receive({ type: "joined", room: "lobby", mark: "X", playerId: "p1", size: 3, winLength: 3 });
+  return socket;
+}
+
+function relayState(socket, moves) {
+  socket.receive({ type: "state", moves, connected: { X: true, O: true } });
+}
+
+test("browsing an earlier move when a relay update arrives stays at that move number", () => {
+  render(<Game />);
+  // A variation first: the centre, taken back, then a corner and an edge. The corner's node is not the tree's
+  // first move, so its id is not its move number.
+  play(4);
+  fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+  play(0);
+  play(1);
+  fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+  expect(screen.getByText("You are at move # 1")).toBeInTheDocument();
+
+  const socket = joinRoom();
+  relayState(socket, [0, 1, 2]);
+  expect(screen.getByText("You are at move # 1")).toBeInTheDocument();
+  expect(board()).toBe("X....");
+
+  relayState(socket, [0, 1, 2, 3]);
+  expect(screen.getByText("You are at move # 1")).toBeInTheDocument();
+  expect(board()).toBe("X....");
+});
+
+test("at the latest move, a relay update moves the view on to the new latest move", () => {
+  render(<Game />);
+  const socket = joinRoom();
+  relayState(socket, [0, 1]);
+  expect(screen.getByText("You are at move # 2")).toBeInTheDocument();
+
+  relayState(socket, [0, 1, 4]);
+  expect(screen.getByText("You are at move # 3")).toBeInTheDocument();
+  expect(board()).toBe("XO..X");
+});
+
+test("browsing past the end of a shorter relay game shows its last move", () => {
+  render(<Game />);
+  [0, 1, 2, 3].forEach(play);
+  fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+  expect(screen.getByText("You are at move # 3")).toBeInTheDocument();
+
+  relayState(joinRoom(), [4]);
+  expect(screen.getByText("You are at move # 1")).toBeInTheDocument();
+  expect(board()).toBe("....X");
+});
@@ -0,0 +1,58 @@
+import { calculateWinner } from "./gameLogic";
+
+/*
+Rules for ultimate tic-tac-toe. The game is nine small boards laid out as a 3×3 meta-board, stored in one flat
+array of 81 squares: board b holds squares b * 9 to b * 9 + 8, in the same row-by-row order as a normal board.
+- The cell you play in (0-8) picks the board your opponent must play in next.
+- If that board is already won or full, your opponent may play in any open board.
+- Winning a small board puts your mark on that square of the meta-board; three in a row there wins the game.
+Both levels are decided by calculateWinner.
+*/
+
+export const SUB_BOARDS = 9;
+
+export function subBoard(squares, board) {
+  return squares.slice(board * 9, board * 9 + 9);
+}
+
+// The meta-board: the winner of each small board, or null while it is open or if it ended without a winner.
+export function metaBoard(squares) {
+  const meta = [];
+  for (let board = 0; board < SUB_BOARDS; board++) {
+    meta.push(calculateWinner(subBoard(squares, board)));
+  }
+  return meta;
+}
+
+export function isBoardClosed(squares, board) {
+  const cells = subBoard(squares, board);
+  return Boolean(calculateWinner(cells)) || cells.every(Boolean);
+}
+
+// The board the next move must go in, or null if any open board may be played.
+export function activeBoard(squares, lastMove) {
+  if (lastMove === null) return null;
+  const target = lastMove % 9;
+  return isBoardClosed(squares, target) ? null : target;
+}
+
+export function ultimateOutcome(squares) {
+  const winner = calculateWinner(metaBoard(squares));
+  let isDraw = false;
+  if (!winner) {
+    isDraw = Array.from({ length: SUB_BOARDS }, (_, board) => isBoardClosed(squares, board)).every(
+      Boolean
+    );
+  }
+  return { winner, isDraw };
+}
+
+export function isLegalMove(squares, lastMove, square) {
+  if (squares[square]) return false;
+  const { winner, isDraw } = ultimateOutcome(squares);
+  if (winner || isDraw) return false;
+  const board = Math.floor(square / 9);
+  if (isBoardClosed(squares, board)) return false;
+  const active = activeBoard(squares, lastMove);
+  return active === null || active === board;
+}
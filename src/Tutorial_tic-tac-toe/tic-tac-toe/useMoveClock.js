@@ -0,0 +1,73 @@
+import { useEffect, useState } from "react";
+import { clocksAfterMove, isTimed, startingClocks } from "./clock";
+
+const TICK = 100;
+
+// Runs the clocks of a timed game over a move tree. The only thing remembered is how long was spent thinking
+// in each position; the clocks at any node are worked out by replaying those times along the line to it, so
+// they stay right when you jump around in the history or go back and play a different move.
+// The clock of the player to move only runs while `isRunning`, i.e. at the end of a line of an unfinished game.
+export default function useMoveClock({ timeControl, rules, history, currentNodeId, isRunning }) {
+  // Thinking times by node id. `session` changes on reset, so a tick of the old game can't land in the new one.
+  const [{ session, thinkingTimes }, setClockState] = useState({ session: 0, thinkingTimes: {} });
+  const timed = isTimed(timeControl);
+
+  let clocks = null;
+  let flagged = null;
+  const currentNode = history[currentNodeId];
+  const player = rules.playerToMove(currentNode.squares);
+  if (timed) {
+    const path = [];
+    for (let node = currentNode; node.parentId !== null; node = history[node.parentId]) {
+      path.unshift(history[node.parentId]);
+    }
+    clocks = path.reduce(
+      (current, node) =>
+        clocksAfterMove(
+          timeControl,
+          current,
+          rules.playerToMove(node.squares),
+          thinkingTimes[node.id] ?? 0
+        ),
+      startingClocks(timeControl)
+    );
+    clocks = { ...clocks, [player]: clocks[player] - (thinkingTimes[currentNodeId] ?? 0) };
+    if (clocks[player] <= 0) flagged = player;
+  }
+  const isTicking = timed && isRunning && flagged === null;
+
+  // Restarts only when the clock starts or stops, or another position comes up. Each tick adds the time since
+  // the last one, so the effect doesn't need the thinking times it changes.
+  useEffect(() => {
+    if (!isTicking) return;
+    let lastUpdate = Date.now();
+    function update() {
+      const now = Date.now();
+      const elapsed = now - lastUpdate;
+      lastUpdate = now;
+      setClockState((state) =>
+        state.session !== session
+          ? state
+          : {
+              session,
+              thinkingTimes: {
+                ...state.thinkingTimes,
+                [currentNodeId]: (state.thinkingTimes[currentNodeId] ?? 0) + elapsed,
+              },
+            }
+      );
+    }
+    const intervalId = setInterval(update, TICK);
+    return () => {
+      clearInterval(intervalId);
+      update();
+    };
+  }, [isTicking, currentNodeId, session]);
+
+  function reset() {
+    setClockState((state) => ({ session: state.session + 1, thinkingTimes: {} }));
+  }
+
+  // `clocks` is null for untimed games; `flagged` is the player who ran out of time, if any.
+  return { clocks, activePlayer: isTicking ? player : null, flagged, reset };
+}
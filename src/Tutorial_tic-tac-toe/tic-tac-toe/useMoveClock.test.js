@@ -0,0 +1,142 @@
+import { act, renderHook } from "@testing-library/react";
+import { clocksAfterMove, findTimeControl, formatClock, startingClocks } from "./clock";
+import { addMove, createMoveTree } from "./moveTree";
+import { RULES } from "./rules";
+import useMoveClock from "./useMoveClock";
+
+const blitz = findTimeControl("clock-1+1");
+const perMove = findTimeControl("move-5");
+
+// Plays `squares` in order from the empty 3×3 board and returns the tree and the id of each position.
+function playLine(squares) {
+  let tree = createMoveTree(Array(9).fill(null));
+  const nodeIds = [0];
+  squares.forEach((square, i) => {
+    const next = tree[nodeIds[i]].squares.slice();
+    next[square] = i % 2 === 0 ? "X" : "O";
+    let nodeId;
+    ({ tree, nodeId } = addMove(tree, nodeIds[i], next));
+    nodeIds.push(nodeId);
+  });
+  return { tree, nodeIds };
+}
+
+function renderClock(props) {
+  return renderHook((p) => useMoveClock({ rules: RULES.standard, isRunning: true, ...p }), {
+    initialProps: props,
+  });
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("clock", () => {
+  test("a chess clock loses the thinking time and gains the increment", () => {
+    expect(clocksAfterMove(blitz, startingClocks(blitz), "X", 4000)).toEqual({ X: 57000, O: 60000 });
+  });
+
+  test("a per-move clock starts over after every move", () => {
+    expect(clocksAfterMove(perMove, { X: 1000, O: 5000 }, "X", 4000)).toEqual({ X: 5000, O: 5000 });
+  });
+
+  test("formats minutes, and tenths in the last ten seconds", () => {
+    expect(formatClock(180000)).toBe("3:00");
+    expect(formatClock(65001)).toBe("1:06");
+    expect(formatClock(9950)).toBe("9.9");
+    expect(formatClock(-20)).toBe("0.0");
+  });
+
+  test("rejects unknown time controls", () => {
+    expect(() => findTimeControl("hourglass")).toThrow("Unknown time control");
+  });
+});
+
+describe("useMoveClock", () => {
+  test("untimed games have no clocks", () => {
+    const { tree } = playLine([]);
+    const { result } = renderClock({ timeControl: findTimeControl("none"), history: tree, currentNodeId: 0 });
+    expect(result.current.clocks).toBeNull();
+    expect(result.current.flagged).toBeNull();
+  });
+
+  test("runs the clock of the player to move", () => {
+    const { tree } = playLine([]);
+    const { result } = renderClock({ timeControl: blitz, history: tree, currentNodeId: 0 });
+    act(() => jest.advanceTimersByTime(3000));
+    expect(result.current.clocks).toEqual({ X: 57000, O: 60000 });
+    expect(result.current.activePlayer).toBe("X");
+  });
+
+  test("moving hands the clock over and adds the increment", () => {
+    const { tree, nodeIds } = playLine([4]);
+    const { result, rerender } = renderClock({ timeControl: blitz, history: tree, currentNodeId: 0 });
+    act(() => jest.advanceTimersByTime(2000));
+    rerender({ timeControl: blitz, history: tree, currentNodeId: nodeIds[1] });
+    act(() => jest.advanceTimersByTime(5000));
+    expect(result.current.clocks).toEqual({ X: 59000, O: 55000 });
+    expect(result.current.activePlayer).toBe("O");
+  });
+
+  test("pauses while an earlier position is viewed and resumes where it left off", () => {
+    const { tree, nodeIds } = playLine([4]);
+    const { result, rerender } = renderClock({
+      timeControl: blitz,
+      history: tree,
+      currentNodeId: nodeIds[1],
+    });
+    act(() => jest.advanceTimersByTime(2000));
+    rerender({ timeControl: blitz, history: tree, currentNodeId: 0, isRunning: false });
+    act(() => jest.advanceTimersByTime(30000));
+    expect(result.current.activePlayer).toBeNull();
+    expect(result.current.clocks).toEqual({ X: 60000, O: 60000 });
+
+    rerender({ timeControl: blitz, history: tree, currentNodeId: nodeIds[1] });
+    act(() => jest.advanceTimersByTime(1000));
+    expect(result.current.clocks).toEqual({ X: 61000, O: 57000 });
+  });
+
+  test("playing a different move from an earlier position keeps the time spent there", () => {
+    const first = playLine([4, 0]);
+    const { result, rerender } = renderClock({
+      timeControl: blitz,
+      history: first.tree,
+      currentNodeId: first.nodeIds[1],
+    });
+    act(() => jest.advanceTimersByTime(4000));
+    rerender({ timeControl: blitz, history: first.tree, currentNodeId: first.nodeIds[2] });
+    act(() => jest.advanceTimersByTime(1000));
+
+    // Undo O's move and play another one instead.
+    rerender({ timeControl: blitz, history: first.tree, currentNodeId: first.nodeIds[1], isRunning: false });
+    const next = first.tree[first.nodeIds[1]].squares.slice();
+    next[8] = "O";
+    const { tree, nodeId } = addMove(first.tree, first.nodeIds[1], next);
+    rerender({ timeControl: blitz, history: tree, currentNodeId: nodeId });
+    expect(result.current.clocks).toEqual({ X: 61000, O: 57000 });
+  });
+
+  test("a player who runs out of time is flagged and the clock stops", () => {
+    const { tree } = playLine([]);
+    const { result } = renderClock({ timeControl: perMove, history: tree, currentNodeId: 0 });
+    act(() => jest.advanceTimersByTime(4900));
+    expect(result.current.flagged).toBeNull();
+    act(() => jest.advanceTimersByTime(200));
+    expect(result.current.flagged).toBe("X");
+    expect(result.current.activePlayer).toBeNull();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test("reset starts the clocks over", () => {
+    const { tree } = playLine([]);
+    const { result } = renderClock({ timeControl: blitz, history: tree, currentNodeId: 0 });
+    act(() => jest.advanceTimersByTime(3000));
+    act(() => result.current.reset());
+    act(() => jest.advanceTimersByTime(1000));
+    expect(result.current.clocks).toEqual({ X: 59000, O: 60000 });
+  });
+});
@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from "react";
+
+// Client side of server/relay.js: joins a room, reconnects when the connection drops and hands every
+// authoritative state from the server to `onState`.
+
+export const RELAY_URL = process.env.REACT_APP_RELAY_URL || "ws://localhost:8787";
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000];
+
+// The seat token is kept per tab so a reload or a dropped connection gets the same seat back.
+function playerIdKey(room) {
+  return "tic-tac-toe.relay." + room;
+}
+
+export default function useRelay({ room, size, winLength, onJoined, onState }) {
+  const [status, setStatus] = useState("idle");
+  const [mark, setMark] = useState(null);
+  const [connected, setConnected] = useState({ X: false, O: false });
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  // Always call the latest handlers without reconnecting every time they change.
+  const handlersRef = useRef({ onJoined, onState });
+  handlersRef.current = { onJoined, onState };
+  // The board shape is only used to create the room; changing it must not rejoin.
+  const boardRef = useRef({ size, winLength });
+  boardRef.current = { size, winLength };
+
+  useEffect(() => {
+    if (!room) return;
+    let closed = false;
+    let joined = false;
+    let attempt = 0;
+    let reconnectTimer = null;
+    let roomConfig = null;
+
+    function connect() {
+      setStatus(attempt === 0 ? "connecting" : "reconnecting");
+      const socket = new WebSocket(RELAY_URL);
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        socket.send(
+          JSON.stringify({
+            type: "join",
+            room,
+            playerId: sessionStorage.getItem(playerIdKey(room)),
+            ...boardRef.current,
+          })
+        );
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch {
+          setError("The relay sent a message that isn't JSON.");
+          return;
+        }
+        switch (message?.type) {
+          case "joined": {
+            joined = true;
+            attempt = 0;
+            roomConfig = { size: message.size, winLength: message.winLength };
+            sessionStorage.setItem(playerIdKey(room), message.playerId);
+            setMark(message.mark);
+            setStatus("connected");
+            setError(null);
+            handlersRef.current.onJoined(roomConfig);
+            break;
+          }
+          case "state": {
+            setConnected(message.connected);
+            handlersRef.current.onState(message.moves, roomConfig);
+            break;
+          }
+          case "error": {
+            setError(message.message);
+            // Without a seat there is nothing to reconnect to.
+            if (!joined) {
+              closed = true;
+              socket.close();
+              setStatus("failed");
+            }
+            break;
+          }
+          default: {
+            setError("Unknown relay message: " + message?.type);
+          }
+        }
+      };
+
+      socket.onclose = () => {
+        if (closed) return;
+        setStatus("reconnecting");
+        const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+        attempt++;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    }
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current.close();
+      socketRef.current = null;
+      setStatus("idle");
+      setMark(null);
+      setConnected({ X: false, O: false });
+    };
+  }, [room]);
+
+  function sendMove(square, moveNumber) {
+    const socket = socketRef.current;
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ type: "move", square, moveNumber }));
+  }
+
+  return { status, mark, connected, error, sendMove };
+}